@@ -11,6 +11,25 @@ const GAP_COEFFICIENTS = {
   e: 1
 };
 
+/**
+ * Minetti et al. (2002) energy cost of running on gradients
+ * C(i) in J/kg/m with i as a fraction (0.1 = 10%), valid for roughly -45% to +45%
+ */
+const MINETTI_COEFFICIENTS = [155.4, -30.4, -43.3, 46.3, 19.5, 3.6];
+
+const DEFAULT_GAP_MODEL = 'quadratic';
+
+/**
+ * Evaluate a polynomial at x
+ * @param {number[]} coeffs - Coefficients, highest power first (same order as GAP_COEFFICIENTS a..e)
+ * @param {number} x - Input value
+ * @returns {number}
+ */
+function evaluatePolynomial(coeffs, x) {
+  // Horner's method
+  return coeffs.reduce((acc, coeff) => acc * x + coeff, 0);
+}
+
 /**
  * Calculate grade adjustment factor for a given gradient percentage
  * @param {number} gradient - Gradient percentage (-35 to 35)
@@ -26,7 +45,98 @@ function calculateGradeAdjustment(gradientPercent) {
   return Math.max(0.3, adjustment); // Remove the Math.min(3.0, adjustment) cap
 }
 
+/**
+ * Strava's improved GAP quartic (GAP_COEFFICIENTS)
+ * @param {number} gradientPercent - Gradient percentage
+ * @returns {number} - Adjustment factor (pace multiplier)
+ */
+function calculateStravaAdjustment(gradientPercent) {
+  const clampedGradient = Math.max(-35, Math.min(35, gradientPercent));
+  const { a, b, c, d, e } = GAP_COEFFICIENTS;
+  return evaluatePolynomial([a, b, c, d, e], clampedGradient);
+}
+
+/**
+ * Minetti energy cost relative to flat running (C(i) / C(0))
+ * @param {number} gradientPercent - Gradient percentage
+ * @returns {number} - Adjustment factor (pace multiplier)
+ */
+function calculateMinettiAdjustment(gradientPercent) {
+  const clampedGradient = Math.max(-45, Math.min(45, gradientPercent)) / 100;
+  const flatCost = MINETTI_COEFFICIENTS[MINETTI_COEFFICIENTS.length - 1];
+  return evaluatePolynomial(MINETTI_COEFFICIENTS, clampedGradient) / flatCost;
+}
+
+/**
+ * Named grade adjustment models. Each maps gradient % → pace multiplier (1 = flat).
+ */
+const GAP_MODELS = {
+  quadratic: {
+    label: 'RunGrade quadratic',
+    description: '1 + 0.033g + 0.000233g², floored at 0.3',
+    adjust: calculateGradeAdjustment
+  },
+  strava: {
+    label: 'Strava quartic',
+    description: 'Strava improved GAP model (GAP_COEFFICIENTS)',
+    adjust: calculateStravaAdjustment
+  },
+  minetti: {
+    label: 'Minetti energy cost',
+    description: 'Minetti et al. (2002) metabolic cost relative to flat',
+    adjust: calculateMinettiAdjustment
+  }
+};
+
+/**
+ * Resolve a grade adjustment model by name
+ * @param {string} [name] - One of GAP_MODELS keys, or 'custom'
+ * @param {number[]} [coefficients] - Custom polynomial coefficients, highest power first, gradient in %
+ * @returns {{name: string, label: string, coefficients: number[]|null, adjust: function(number): number}}
+ * @throws {Error} If the model name is unknown or custom coefficients are invalid
+ */
+function getGradeAdjustmentModel(name = DEFAULT_GAP_MODEL, coefficients = null) {
+  if (name === 'custom') {
+    if (!Array.isArray(coefficients) || coefficients.length === 0 ||
+        !coefficients.every(c => typeof c === 'number' && isFinite(c))) {
+      throw new Error('Custom GAP model requires a non-empty array of numeric coefficients');
+    }
+    return {
+      name: 'custom',
+      label: `Custom degree ${coefficients.length - 1} polynomial`,
+      coefficients: [...coefficients],
+      adjust: gradientPercent => {
+        const clampedGradient = Math.max(-35, Math.min(35, gradientPercent));
+        return evaluatePolynomial(coefficients, clampedGradient);
+      }
+    };
+  }
+
+  const model = GAP_MODELS[name];
+  if (!model) {
+    throw new Error(`Unknown GAP model '${name}'. Available: ${[...Object.keys(GAP_MODELS), 'custom'].join(', ')}`);
+  }
+  return { name, label: model.label, coefficients: null, adjust: model.adjust };
+}
+
+/**
+ * Accept a resolved model, a model name, or a bare coefficient array (legacy polyCoeffs)
+ */
+function resolveGradeAdjustmentModel(modelOrCoeffs) {
+  if (modelOrCoeffs && typeof modelOrCoeffs.adjust === 'function') return modelOrCoeffs;
+  if (Array.isArray(modelOrCoeffs)) return getGradeAdjustmentModel('custom', modelOrCoeffs);
+  return getGradeAdjustmentModel(modelOrCoeffs || DEFAULT_GAP_MODEL);
+}
+
 module.exports = {
   GAP_COEFFICIENTS,
-  calculateGradeAdjustment
-};
\ No newline at end of file
+  MINETTI_COEFFICIENTS,
+  GAP_MODELS,
+  DEFAULT_GAP_MODEL,
+  calculateGradeAdjustment,
+  calculateStravaAdjustment,
+  calculateMinettiAdjustment,
+  evaluatePolynomial,
+  getGradeAdjustmentModel,
+  resolveGradeAdjustmentModel
+};
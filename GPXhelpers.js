@@ -1,6 +1,7 @@
 
-const GPXParser = require('gpxparser');
 const FitParser = require('fit-file-parser').default;
+const { DOMParser } = require('@xmldom/xmldom');
+const { applyTimerEvents, detectPauses } = require('./pauseDetection');
 
 
 // GPX Analysis functions (keep existing ones)
@@ -11,6 +12,7 @@ function getTotalDistance(points) {
   
   for (let i = 1; i < points.length; i++) {
     const prev = points[i - 1], curr = points[i];
+    if (prev.segment !== curr.segment) continue; // never bridge a GPX segment gap
     if (typeof prev.lat === 'number' && typeof prev.lon === 'number' &&
         typeof curr.lat === 'number' && typeof curr.lon === 'number') {
       const R = 6371000; // Earth radius in meters
@@ -39,6 +41,7 @@ function getTotalElevationGain(points) {
   for (let i = 1; i < points.length; i++) {
     const prev = points[i - 1];
     const curr = points[i];
+    if (prev.segment !== curr.segment) continue; // never bridge a GPX segment gap
     if (typeof prev.ele === 'number' && typeof curr.ele === 'number') {
       const diff = curr.ele - prev.ele;
       if (diff > 0) gain += diff;
@@ -47,333 +50,917 @@ function getTotalElevationGain(points) {
   return Math.round(gain);
 }
 
-// Updated FIT file processing based on documentation
-function processFITFile(fileBuffer, filename) {
+function getTotalElevationLoss(points) {
+  let loss = 0;
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1];
+    const curr = points[i];
+    if (prev.segment !== curr.segment) continue; // never bridge a GPX segment gap
+    if (typeof prev.ele === 'number' && typeof curr.ele === 'number') {
+      const diff = prev.ele - curr.ele;
+      if (diff > 0) loss += diff;
+    }
+  }
+  return Math.round(loss);
+}
+
+// Points with missing device altitude (hasElevation: false) get ele: null, so the
+// elevation totals skip them instead of counting climbs from 0m
+function maskMissingElevation(points) {
+  return points.map(pt => (pt.hasElevation === false ? { ...pt, ele: null } : pt));
+}
+
+// XML helpers (namespace-agnostic: match on localName so prefixed extensions work)
+function getChildElements(node, localName) {
+  if (!node) return [];
+  return Array.from(node.childNodes || []).filter(child =>
+    child.nodeType === 1 && (child.localName || child.nodeName) === localName
+  );
+}
+
+function getChildElement(node, localName) {
+  return getChildElements(node, localName)[0] || null;
+}
+
+function getDescendantElements(node, localName) {
+  if (!node) return [];
+  return Array.from(node.getElementsByTagNameNS('*', localName));
+}
+
+function getElementNumber(node, localName) {
+  const el = localName ? getChildElement(node, localName) : node;
+  if (!el) return null;
+  const value = parseFloat(el.textContent);
+  return isNaN(value) ? null : value;
+}
+
+function getElementTree(node) {
+  return Array.from(node.getElementsByTagName('*'));
+}
+
+function parseXML(fileBuffer) {
+  return new DOMParser({ errorHandler: { warning: () => {}, error: () => {}, fatalError: message => { throw new Error(message); } } })
+    .parseFromString(fileBuffer.toString(), 'text/xml');
+}
+
+// GPX extension element names (lowercased localName) → route point field.
+// Covers Garmin TrackPointExtension (gpxtpx:hr/cad/atemp), Garmin PowerExtension (PowerInWatts),
+// Cluetrust/Suunto gpxdata (hr/cadence/temp) and Strava's bare <heartrate>/<cadence>/<power>.
+const GPX_EXTENSION_FIELDS = {
+  hr: 'heartRate',
+  heartrate: 'heartRate',
+  heart_rate: 'heartRate',
+  cad: 'cadence',
+  cadence: 'cadence',
+  runcadence: 'cadence',
+  atemp: 'temperature',
+  temp: 'temperature',
+  temperature: 'temperature',
+  power: 'power',
+  powerinwatts: 'power',
+  watts: 'power'
+};
+
+// Read HR / cadence / temperature / power from a <trkpt>/<rtept> <extensions> block
+function getGPXExtensionValues(pointElement) {
+  const values = { heartRate: null, cadence: null, temperature: null, power: null };
+  getChildElements(pointElement, 'extensions').forEach(extensions => {
+    getElementTree(extensions).forEach(el => {
+      if (getElementTree(el).length > 0) return; // leaf values only
+      const field = GPX_EXTENSION_FIELDS[(el.localName || el.nodeName).toLowerCase()];
+      if (field && values[field] === null) {
+        const value = parseFloat(el.textContent);
+        if (!isNaN(value)) values[field] = value;
+      }
+    });
+  });
+  return values;
+}
+
+const GPX_TRACK_MODES = ['first', 'merge', 'split'];
+
+// One <trkpt>/<rtept> → point with extension data and its segment id
+function parseGPXPoint(pointElement, segment) {
+  const timeText = getChildElement(pointElement, 'time')?.textContent;
+  return {
+    lat: parseFloat(pointElement.getAttribute('lat')),
+    lon: parseFloat(pointElement.getAttribute('lon')),
+    ele: getElementNumber(pointElement, 'ele'),
+    time: timeText ? new Date(timeText) : null,
+    ...getGPXExtensionValues(pointElement),
+    segment
+  };
+}
+
+/**
+ * Parse a GPX buffer in one pass into its tracks and routes
+ * Segment ids are unique across the whole file (one per <trkseg>, one per <rte>).
+ * @param {Buffer} fileBuffer
+ * @returns {{tracks: Array<{name, segments: Array[]}>, routes: Array<{name, points}>, creator: string|null}}
+ */
+function parseGPX(fileBuffer) {
+  const doc = parseXML(fileBuffer);
+  let segment = 0;
+
+  const tracks = getDescendantElements(doc, 'trk').map(trk => ({
+    name: getChildElement(trk, 'name')?.textContent?.trim() || null,
+    segments: getChildElements(trk, 'trkseg').map(trkseg => {
+      const points = getChildElements(trkseg, 'trkpt').map(trkpt => parseGPXPoint(trkpt, segment));
+      segment++;
+      return points;
+    })
+  }));
+
+  const routes = getDescendantElements(doc, 'rte').map(rte => {
+    const points = getChildElements(rte, 'rtept').map(rtept => parseGPXPoint(rtept, segment));
+    segment++;
+    return { name: getChildElement(rte, 'name')?.textContent?.trim() || null, points };
+  });
+
+  return { tracks, routes, creator: doc.documentElement?.getAttribute('creator') || null };
+}
+
+/**
+ * Points to analyse from a parsed GPX
+ * @param {Object} gpx - From parseGPX
+ * @param {string} [trackMode] - 'first' (first track, falling back to first route) or
+ *   'merge' (every track and segment, segments ordered by start time)
+ * @returns {{points: Array, name: string|null}}
+ */
+function selectGPXPoints({ tracks, routes }, trackMode = 'first') {
+  if (trackMode === 'merge' && tracks.length) {
+    // Stable sort keeps document order for segments without timestamps
+    const startOf = points => points.find(pt => pt.time)?.time?.getTime() ?? Infinity;
+    const points = tracks
+      .flatMap(track => track.segments)
+      .filter(points => points.length)
+      .map((points, order) => ({ points, order, start: startOf(points) }))
+      .sort((a, b) => (a.start === b.start ? a.order - b.order : a.start - b.start))
+      .flatMap(seg => seg.points);
+    return { points, name: tracks[0].name };
+  }
+
+  const firstTrackPoints = tracks[0] ? tracks[0].segments.flat() : [];
+  if (!firstTrackPoints.length && routes[0]?.points.length) {
+    return { points: routes[0].points, name: routes[0].name };
+  }
+  return { points: firstTrackPoints, name: tracks[0]?.name || null };
+}
+
+// Average / max of a numeric point field (null when no point has it)
+function getPointFieldStats(points, field) {
+  const values = points.map(pt => pt[field]).filter(value => typeof value === 'number' && value > 0);
+  if (!values.length) return { avg: null, max: null };
+  return {
+    avg: Math.round(values.reduce((sum, value) => sum + value, 0) / values.length),
+    max: Math.max(...values)
+  };
+}
+
+// How multisport FIT files are handled:
+// - running: one result per running session, other sessions skipped (default)
+// - all: one result per session, non-running ones flagged with isRunning: false
+// - first: first session only (previous behaviour)
+const FIT_SESSION_MODES = ['running', 'all', 'first'];
+const FIT_RUNNING_SPORTS = ['running'];
+
+/**
+ * Build elevation from treadmill incline where the device recorded no altitude
+ * ele climbs by incline% of the device distance covered since the previous point.
+ * Mutates and returns the points array.
+ */
+function applyInclineElevation(points) {
+  if (!points.some(pt => !pt.hasElevation && typeof pt.incline === 'number')) return points;
+
+  let ele = 0;
+  points.forEach((pt, i) => {
+    if (pt.hasElevation) {
+      ele = pt.ele;
+      return;
+    }
+    const prev = points[i - 1];
+    if (prev && typeof pt.incline === 'number' && typeof pt.distance === 'number' && typeof prev.distance === 'number') {
+      ele += (pt.incline / 100) * Math.max(0, pt.distance - prev.distance);
+    }
+    if (typeof pt.incline === 'number') {
+      pt.ele = ele;
+      pt.hasElevation = true;
+      pt.elevationSource = 'incline';
+    }
+  });
+  return points;
+}
+
+/**
+ * Bridge GPS dropouts (tunnels): points with neither position nor altitude get elevation
+ * interpolated by device distance between the surrounding points that have one.
+ * Mutates and returns the points array.
+ */
+function interpolateDropoutElevation(points) {
+  const isDropout = pt => !pt.hasElevation && typeof pt.lat !== 'number';
+  let lastKnown = -1;
+
+  points.forEach((pt, i) => {
+    if (!pt.hasElevation) return;
+    if (lastKnown >= 0 && i - lastKnown > 1) {
+      const from = points[lastKnown];
+      const span = (pt.distance ?? 0) - (from.distance ?? 0);
+      for (let j = lastKnown + 1; j < i; j++) {
+        if (!isDropout(points[j])) continue;
+        const fraction = span > 0
+          ? ((points[j].distance ?? from.distance) - from.distance) / span
+          : (j - lastKnown) / (i - lastKnown);
+        points[j].ele = from.ele + (pt.ele - from.ele) * Math.min(1, Math.max(0, fraction));
+        points[j].hasElevation = true;
+        points[j].elevationSource = 'interpolated';
+      }
+    }
+    lastKnown = i;
+  });
+  return points;
+}
+
+// Parse a FIT buffer with the options used throughout this file (rejects on parse errors)
+function parseFITBuffer(fileBuffer) {
   return new Promise((resolve, reject) => {
-    try {
-      console.log(`Starting FIT parse for ${filename}, buffer size: ${fileBuffer.length} bytes`);
-      
-      // Create parser instance
-      const fitParser = new FitParser({
-        force: true,
-        speedUnit: 'km/h',
-        lengthUnit: 'm',
-        temperatureUnit: 'celsius',
-        elapsedRecordField: true,
-        mode: 'both'  // Changed from 'list' to 'both'
-      });
+    const fitParser = new FitParser({
+      force: true,
+      speedUnit: 'km/h',
+      lengthUnit: 'm',
+      temperatureUnit: 'celsius',
+      elapsedRecordField: true,
+      mode: 'both'
+    });
+    fitParser.parse(fileBuffer, (error, data) => (error ? reject(error) : resolve(data)));
+  });
+}
+
+// Start/end (ms) of a FIT session or lap message
+function getFITMessageWindow(message) {
+  if (!message?.start_time) return null;
+  const start = new Date(message.start_time).getTime();
+  const end = message.timestamp
+    ? new Date(message.timestamp).getTime()
+    : start + (message.total_elapsed_time || 0) * 1000;
+  return { start, end: Math.max(start, end) };
+}
+
+function isWithinWindow(message, window) {
+  if (!message.timestamp) return false;
+  const time = new Date(message.timestamp).getTime();
+  return time >= window.start && time <= window.end;
+}
+
+// Sessions of a parsed FIT file ('both' mode keeps them in data.sessions and data.activity.sessions)
+function getFITSessionMessages(data) {
+  return data.sessions || data.activity?.sessions || [];
+}
+
+function getFITSessionInfo(session, sessionIndex) {
+  return {
+    sessionIndex,
+    sport: session.sport || 'unknown',
+    subSport: session.sub_sport || null, // trail, treadmill, track, street...
+    isRunning: FIT_RUNNING_SPORTS.includes(session.sport),
+    startTime: session.start_time ? new Date(session.start_time) : null,
+    distance: session.total_distance ? session.total_distance / 1000 : null
+  };
+}
+
+/**
+ * List the sessions in a FIT file (more than one for multisport activities)
+ * @returns {Promise<Array>} - [{sessionIndex, sport, subSport, isRunning, startTime, distance}]
+ */
+async function getFITSessions(fileBuffer) {
+  const data = await parseFITBuffer(fileBuffer);
+  return getFITSessionMessages(data).map(getFITSessionInfo);
+}
+
+/**
+ * Pick one session and the records/laps inside its time window
+ * Without a sessionIndex the first session is used with every record and lap (single-sport files).
+ */
+function selectFITSession(data, sessionIndex) {
+  const sessions = getFITSessionMessages(data);
+  const records = data.records || data.activity?.records || [];
+  const laps = data.laps || [];
+
+  if (sessionIndex === undefined || sessionIndex === null) {
+    return { session: sessions[0] || null, sessionIndex: sessions.length ? 0 : null, sessionCount: sessions.length, records, laps };
+  }
+
+  const session = sessions[sessionIndex];
+  if (!session) {
+    throw new Error(`FIT session ${sessionIndex} not found (file has ${sessions.length})`);
+  }
+  const window = getFITMessageWindow(session);
+  return {
+    session,
+    sessionIndex,
+    sessionCount: sessions.length,
+    records: window ? records.filter(record => isWithinWindow(record, window)) : records,
+    laps: window ? laps.filter(lap => lap.start_time && isWithinWindow({ timestamp: lap.start_time }, window)) : laps
+  };
+}
 
-      // Parse the file buffer
-      fitParser.parse(fileBuffer, function (error, data) {
-        if (error) {
-          console.error(`FIT parse error for ${filename}:`, error);
-          resolve({ error: `FIT parsing failed: ${error.message || error}`, filename });
-          return;
-        }
-
-        try {
-          console.log(`✅ FIT parse successful for ${filename}`);
-          console.log(`FIT data keys:`, Object.keys(data));
-          
-          // Debug the data structure
-          if (data.activity) {
-            console.log(`Activity found with keys:`, Object.keys(data.activity));
-            
-            if (data.activity.sessions) {
-              console.log(`Sessions found: ${data.activity.sessions.length}`);
-              if (data.activity.sessions.length > 0) {
-                console.log(`First session keys:`, Object.keys(data.activity.sessions[0]));
-              }
-            }
-            
-            if (data.activity.records) {
-              console.log(`Records found: ${data.activity.records.length}`);
-              if (data.activity.records.length > 0) {
-                console.log(`First record keys:`, Object.keys(data.activity.records[0]));
-              }
-            }
-          }
-
-          // Try to extract data from different possible structures
-          let sessions = [];
-          let records = [];
-
-          // Check different possible locations for session and record data
-          if (data.activity && data.activity.sessions) {
-            sessions = data.activity.sessions;
-            records = data.activity.records || [];
-          } else if (data.sessions) {
-            sessions = data.sessions;
-            records = data.records || [];
-          } else {
-            // No sessions found, but maybe we have records
-            records = data.activity?.records || data.records || [];
-            console.log(`No sessions found, but found ${records.length} records`);
-          }
-
-          console.log(`Final: ${sessions.length} sessions, ${records.length} records`);
-
-          // Create a session object even if none exists
-          let session = {};
-          if (sessions.length > 0) {
-            session = sessions[0];
-          } else if (records.length > 0) {
-            // Create a basic session from records
-            const firstRecord = records[0];
-            const lastRecord = records[records.length - 1];
-            session = {
-              sport: 'running', // default
-              start_time: firstRecord.timestamp,
-              total_timer_time: lastRecord.timestamp - firstRecord.timestamp
-            };
-          }
-
-          // Extract GPS points from records
-          const points = records
-            .filter(record => record.position_lat !== undefined && record.position_long !== undefined)
-            .map(record => ({
-              lat: record.position_lat * (180 / Math.pow(2, 31)), // Convert semicircles to degrees
-              lon: record.position_long * (180 / Math.pow(2, 31)),
-              ele: record.altitude || record.enhanced_altitude || 0,
-              time: record.timestamp ? new Date(record.timestamp) : null,
-              heartRate: record.heart_rate || null,
-              cadence: record.cadence || null,
-              speed: record.speed || record.enhanced_speed || null
-            }));
-
-          console.log(`Extracted ${points.length} GPS points from ${filename}`);
-
-          // Calculate basic stats
-          const stats = {
-            filename,
-            fileType: 'FIT',
-            totalTime: session.total_timer_time || (points.length > 0 ? getTotalTime(points) : 0),
-            distance: session.total_distance ? (session.total_distance / 1000) : (points.length > 0 ? getTotalDistance(points) : 0),
-            elevationGain: session.total_ascent || (points.length > 0 ? getTotalElevationGain(points) : 0),
-            pointCount: points.length,
-            startTime: points.length > 0 ? points[0]?.time : (session.start_time ? new Date(session.start_time) : null),
-            endTime: points.length > 0 ? points[points.length - 1]?.time : null,
-            // FIT-specific data
-            avgHeartRate: session.avg_heart_rate || null,
-            maxHeartRate: session.max_heart_rate || null,
-            avgCadence: session.avg_cadence || null,
-            calories: session.total_calories || null,
-            sport: session.sport || 'unknown',
-            avgSpeed: session.avg_speed ? (session.avg_speed * 3.6) : null,
-            maxSpeed: session.max_speed ? (session.max_speed * 3.6) : null
-          };
-
-          console.log(`✅ FIT stats for ${filename}:`, {
-            distance: stats.distance,
-            time: stats.totalTime,
-            elevation: stats.elevationGain,
-            points: stats.pointCount,
-            heartRate: stats.avgHeartRate
-          });
-
-          resolve({ stats, pointCount: points.length });
-
-        } catch (processError) {
-          console.error(`Error processing FIT data for ${filename}:`, processError);
-          resolve({ error: `FIT processing failed: ${processError.message}`, filename });
-        }
+// FIT lap messages → splits (distance in km, times in seconds)
+function getFITLaps(laps) {
+  return laps.map((lap, lapIndex) => {
+    const window = getFITMessageWindow(lap);
+    return {
+      lapIndex,
+      startTime: window ? new Date(window.start) : null,
+      endTime: window ? new Date(window.end) : null,
+      totalTime: lap.total_timer_time ?? lap.total_elapsed_time ?? null,
+      elapsedTime: lap.total_elapsed_time ?? null,
+      distance: typeof lap.total_distance === 'number' ? lap.total_distance / 1000 : null,
+      ascent: lap.total_ascent ?? null,
+      descent: lap.total_descent ?? null,
+      avgHeartRate: lap.avg_heart_rate || null,
+      maxHeartRate: lap.max_heart_rate || null,
+      avgCadence: lap.avg_cadence || lap.avg_running_cadence || null,
+      trigger: lap.lap_trigger || null
+    };
+  });
+}
+
+
+// Parse a TCX buffer into laps, route points and creator device (throws on malformed XML / no activity)
+function parseTCX(fileBuffer) {
+  const doc = parseXML(fileBuffer);
+
+  const activity = getDescendantElements(doc, 'Activity')[0];
+  if (!activity) {
+    throw new Error('No activity found in TCX file');
+  }
+
+  const laps = getChildElements(activity, 'Lap').map(lap => {
+    const maxSpeed = getElementNumber(lap, 'MaximumSpeed');
+    return {
+      startTime: lap.getAttribute('StartTime') ? new Date(lap.getAttribute('StartTime')) : null,
+      totalTime: getElementNumber(lap, 'TotalTimeSeconds'),
+      distance: getElementNumber(lap, 'DistanceMeters'),
+      maxSpeed: maxSpeed !== null ? maxSpeed * 3.6 : null, // km/h, like FIT
+      calories: getElementNumber(lap, 'Calories'),
+      avgHeartRate: getElementNumber(getChildElement(lap, 'AverageHeartRateBpm'), 'Value'),
+      maxHeartRate: getElementNumber(getChildElement(lap, 'MaximumHeartRateBpm'), 'Value'),
+      avgCadence: getElementNumber(lap, 'Cadence') ??
+        getElementNumber(getDescendantElements(lap, 'AvgRunCadence')[0]),
+      trackpoints: getDescendantElements(lap, 'Trackpoint')
+    };
+  });
+
+  const points = [];
+  laps.forEach((lap, lapIndex) => {
+    lap.trackpoints.forEach(tp => {
+      const position = getChildElement(tp, 'Position');
+      const lat = getElementNumber(position, 'LatitudeDegrees');
+      const lon = getElementNumber(position, 'LongitudeDegrees');
+      const distance = getElementNumber(tp, 'DistanceMeters');
+      if ((lat === null || lon === null) && distance === null) return; // keep indoor trackpoints with device distance
+
+      const ele = getElementNumber(tp, 'AltitudeMeters');
+      const timeText = getChildElement(tp, 'Time')?.textContent;
+      const speed = getElementNumber(getDescendantElements(tp, 'Speed')[0]);
+
+      points.push({
+        lat,
+        lon,
+        ele: ele || 0,
+        hasElevation: ele !== null,
+        time: timeText ? new Date(timeText) : null,
+        heartRate: getElementNumber(getChildElement(tp, 'HeartRateBpm'), 'Value'),
+        cadence: getElementNumber(tp, 'Cadence') ?? getElementNumber(getDescendantElements(tp, 'RunCadence')[0]),
+        power: getElementNumber(getDescendantElements(tp, 'Watts')[0]),
+        speed: speed !== null ? speed * 3.6 : null, // km/h, like FIT
+        distance,
+        lap: lapIndex
       });
+    });
+    delete lap.trackpoints;
+  });
 
-    } catch (error) {
-      console.error(`Error creating FIT parser for ${filename}:`, error);
-      resolve({ error: error.message, filename });
-    }
+  const creator = getChildElement(activity, 'Creator');
+  const versionMajor = getElementNumber(getChildElement(creator, 'Version'), 'VersionMajor');
+  const versionMinor = getElementNumber(getChildElement(creator, 'Version'), 'VersionMinor');
+
+  return {
+    sport: (activity.getAttribute('Sport') || 'unknown').toLowerCase(),
+    creator: creator ? {
+      name: getChildElement(creator, 'Name')?.textContent?.trim() || null,
+      manufacturer: null,
+      product: getElementNumber(creator, 'ProductID'),
+      serialNumber: getElementNumber(creator, 'UnitId'),
+      softwareVersion: versionMajor !== null ? Number(`${versionMajor}.${versionMinor ?? 0}`) : null
+    } : null,
+    laps,
+    points
+  };
+}
+
+// TCX laps → splits in the same shape as getFITLaps (ascent from the lap's trackpoints)
+function getTCXLaps(laps, points) {
+  return laps.map((lap, lapIndex) => {
+    const lapPoints = points.filter(pt => pt.lap === lapIndex);
+    const lastTime = [...lapPoints].reverse().find(pt => pt.time)?.time || null;
+    const nextStart = laps[lapIndex + 1]?.startTime || null;
+    return {
+      lapIndex,
+      startTime: lap.startTime,
+      endTime: nextStart || lastTime ||
+        (lap.startTime && lap.totalTime !== null ? new Date(lap.startTime.getTime() + lap.totalTime * 1000) : null),
+      totalTime: lap.totalTime,
+      elapsedTime: lap.startTime && lastTime ? (lastTime - lap.startTime) / 1000 : lap.totalTime,
+      distance: lap.distance !== null ? lap.distance / 1000 : null,
+      ascent: lapPoints.length > 1 ? getTotalElevationGain(lapPoints) : null,
+      descent: null,
+      avgHeartRate: lap.avgHeartRate,
+      maxHeartRate: lap.maxHeartRate,
+      avgCadence: lap.avgCadence,
+      trigger: null
+    };
   });
 }
 
-// Process both GPX and FIT files (async)
-async function processFile(fileBuffer, filename) {
-  const extension = filename.toLowerCase().split('.').pop();
-  
-  if (extension === 'gpx') {
-    return processGPXFile(fileBuffer, filename);
-  } else if (extension === 'fit') {
-    // Now this returns a Promise, so we can await it
-    return await processFITFile(fileBuffer, filename);
-  } else {
-    return { error: 'Unsupported file type. Only GPX and FIT files are supported.', filename };
+
+/**
+ * NORMALIZED ACTIVITY MODEL
+ *
+ * Each upload is parsed once into:
+ * {
+ *   filename, fileType: 'GPX' | 'FIT' | 'TCX',
+ *   metadata: { name, sport, subSport, isRunning, sessionIndex, sessionCount, startTime },
+ *   device: { name, manufacturer, product, serialNumber, softwareVersion } | null,
+ *   session: device-reported totals { totalTime, distance (km), elevationGain, elevationLoss, avgHeartRate,
+ *            maxHeartRate, avgCadence, calories, avgSpeed, maxSpeed } - null where the file has none,
+ *   laps: FIT/TCX splits (null for GPX),
+ *   points: route points for binning ({lat, lon, ele, hasElevation, time, heartRate, cadence, speed, ...}),
+ *   source: { sourceFilename, sessionIndex } for one session of a multisport FIT, or
+ *           { sourceFilename, trackIndex, trackName } for one track of a split GPX (see parseActivities)
+ * }
+ * File stats (getActivityStats) and bins are both derived from this model.
+ */
+
+const EMPTY_SESSION = {
+  totalTime: null,
+  distance: null,
+  elevationGain: null,
+  elevationLoss: null,
+  avgHeartRate: null,
+  maxHeartRate: null,
+  avgCadence: null,
+  calories: null,
+  avgSpeed: null,
+  maxSpeed: null
+};
+
+// FIT creator device from file_id + device_info messages
+function getFITDeviceInfo(data) {
+  const fileId = data.file_ids?.[0] || data.file_id || {};
+  const deviceInfos = data.device_infos || [];
+  const creator = deviceInfos.find(info => info.device_index === 0 || info.device_index === 'creator') || deviceInfos[0] || {};
+  const manufacturer = fileId.manufacturer ?? creator.manufacturer ?? null;
+  if (manufacturer === null && !deviceInfos.length) return null;
+  return {
+    name: creator.product_name || null,
+    manufacturer,
+    product: fileId.garmin_product ?? fileId.product ?? creator.product ?? null,
+    serialNumber: fileId.serial_number ?? creator.serial_number ?? null,
+    softwareVersion: creator.software_version ?? null
+  };
+}
+
+// FIT records → route points (records without GPS kept when they carry device distance)
+function getFITPoints(records) {
+  const hasPosition = record => {
+    const hasLat = record.position_lat !== undefined || record.lat !== undefined;
+    const hasLon = record.position_long !== undefined || record.lon !== undefined || record.lng !== undefined;
+    return hasLat && hasLon;
+  };
+  const semicirclesToDegrees = val => val * (180 / Math.pow(2, 31));
+
+  // Records without GPS (treadmill, indoor track, tunnels) are kept when the
+  // footpod/watch recorded a cumulative distance, so they can be binned by device distance
+  const points = records
+    .filter(record => hasPosition(record) || typeof record.distance === 'number')
+    .map(record => {
+      const lat = (typeof record.position_lat === 'number')
+        ? (Math.abs(record.position_lat) > 180 ? semicirclesToDegrees(record.position_lat) : record.position_lat)
+        : (record.lat ?? null);
+      const lon = (typeof record.position_long === 'number')
+        ? (Math.abs(record.position_long) > 180 ? semicirclesToDegrees(record.position_long) : record.position_long)
+        : (record.lon ?? record.lng ?? null);
+
+      return {
+        lat,
+        lon,
+        ele: record.altitude || record.enhanced_altitude || record.elevation || 0,
+        hasElevation: [record.altitude, record.enhanced_altitude, record.elevation].some(v => typeof v === 'number'),
+        time: record.timestamp ? new Date(record.timestamp) : null,
+        heartRate: record.heart_rate || record.heartRate || null,
+        cadence: record.cadence || null, // per leg (strides/min), like TCX RunCadence and gpxtpx:cad
+        fractionalCadence: record.fractional_cadence || null,
+        power: typeof record.power === 'number' ? record.power : null, // W (running power meter / watch)
+        speed: record.speed || record.enhanced_speed || null,
+        distance: typeof record.distance === 'number' ? record.distance : null, // device cumulative meters
+        incline: typeof record.grade === 'number' ? record.grade : null // treadmill incline (%)
+      };
+    });
+
+  applyInclineElevation(points);
+  interpolateDropoutElevation(points);
+  return points;
+}
+
+// Build the activity model for one session of parsed FIT data (all records when sessionIndex is omitted)
+function buildFITActivity(data, filename, sessionIndex) {
+  try {
+    // Pick the requested session (multisport) and the records/laps inside it
+    const selected = selectFITSession(data, sessionIndex);
+    const session = selected.session || {};
+    const points = getFITPoints(selected.records);
+    applyTimerEvents(points, data.activity?.events || data.events || []);
+
+    // Files without a session message are assumed to be runs
+    const sport = selected.session ? (session.sport || 'unknown') : 'running';
+
+    return {
+      filename,
+      fileType: 'FIT',
+      metadata: {
+        name: null,
+        sport,
+        subSport: session.sub_sport || null,
+        isRunning: FIT_RUNNING_SPORTS.includes(session.sport || 'running'),
+        sessionIndex: selected.sessionIndex,
+        sessionCount: selected.sessionCount,
+        startTime: session.start_time ? new Date(session.start_time) : null
+      },
+      device: getFITDeviceInfo(data),
+      session: {
+        totalTime: session.total_timer_time || null,
+        distance: session.total_distance ? session.total_distance / 1000 : null,
+        elevationGain: session.total_ascent || null,
+        elevationLoss: session.total_descent || null,
+        avgHeartRate: session.avg_heart_rate || null,
+        maxHeartRate: session.max_heart_rate || null,
+        avgCadence: session.avg_cadence || null,
+        calories: session.total_calories || null,
+        avgSpeed: session.avg_speed ? (session.avg_speed * 3.6) : null,
+        maxSpeed: session.max_speed ? (session.max_speed * 3.6) : null
+      },
+      laps: getFITLaps(selected.laps),
+      points
+    };
+  } catch (error) {
+    console.error(`Error processing FIT data for ${filename}:`, error);
+    return { error: `FIT processing failed: ${error.message}`, filename };
   }
 }
 
-// GPX file processing
-function processGPXFile(fileBuffer, filename) {
+async function parseFITData(fileBuffer, filename) {
   try {
-    const gpx = new GPXParser();
-    gpx.parse(fileBuffer.toString());
-    
-    let rawPoints = gpx.tracks?.[0]?.points || [];
-    if (!rawPoints.length && gpx.routes?.[0]?.points?.length) {
-      rawPoints = gpx.routes[0].points;
-    }
-    
-    if (!rawPoints.length) {
+    return { data: await parseFITBuffer(fileBuffer) };
+  } catch (error) {
+    console.error(`FIT parse error for ${filename}:`, error);
+    return { error: `FIT parsing failed: ${error.message || error}`, filename };
+  }
+}
+
+/**
+ * Parse a FIT file into the activity model
+ * options.fitSession: session index to analyse (multisport files, see getFITSessions)
+ */
+async function parseFITActivity(fileBuffer, filename, options = {}) {
+  const { data, error } = await parseFITData(fileBuffer, filename);
+  return error ? { error, filename } : buildFITActivity(data, filename, options.fitSession);
+}
+
+// Build the activity model from points picked out of a parsed GPX (see selectGPXPoints)
+function buildGPXActivity(gpxPoints, name, creator, filename) {
+  if (!gpxPoints.length) {
+    return { error: 'No track data found', filename };
+  }
+
+  const points = gpxPoints.map(pt => ({
+    lat: pt.lat,
+    lon: pt.lon,
+    ele: pt.ele || 0,
+    hasElevation: typeof pt.ele === 'number',
+    time: pt.time,
+    heartRate: pt.heartRate,
+    cadence: pt.cadence,
+    temperature: pt.temperature,
+    power: pt.power,
+    speed: null,
+    segment: pt.segment
+  }));
+
+  return {
+    filename,
+    fileType: 'GPX',
+    metadata: {
+      name,
+      sport: 'unknown', // GPX files don't have these fields
+      subSport: null,
+      isRunning: null,
+      sessionIndex: null,
+      sessionCount: null,
+      startTime: points[0].time || null
+    },
+    device: creator ? { name: creator, manufacturer: null, product: null, serialNumber: null, softwareVersion: null } : null,
+    session: { ...EMPTY_SESSION },
+    laps: null,
+    points
+  };
+}
+
+// Parse a GPX file into the activity model (options.gpxTracks: 'first' or 'merge' - see selectGPXPoints)
+function parseGPXActivity(fileBuffer, filename, options = {}) {
+  try {
+    const gpx = parseGPX(fileBuffer);
+    const { points, name } = selectGPXPoints(gpx, options.gpxTracks);
+    return buildGPXActivity(points, name, gpx.creator, filename);
+  } catch (error) {
+    console.error(`Error processing ${filename}:`, error.message);
+    return { error: error.message, filename };
+  }
+}
+
+/**
+ * Parse a GPX file into one activity per <trk> (gpxTracks = 'split')
+ * Files with at most one track give the same single activity as 'first'.
+ * Each track's activity carries source: { sourceFilename, trackIndex, trackName }.
+ */
+function parseGPXTrackActivities(fileBuffer, filename) {
+  let gpx;
+  try {
+    gpx = parseGPX(fileBuffer);
+  } catch (error) {
+    console.error(`Error processing ${filename}:`, error.message);
+    return [{ error: error.message, filename }];
+  }
+
+  if (gpx.tracks.length <= 1) {
+    const { points, name } = selectGPXPoints(gpx);
+    return [buildGPXActivity(points, name, gpx.creator, filename)];
+  }
+
+  const baseName = filename.replace(/\.gpx$/i, '');
+  return gpx.tracks.map((track, trackIndex) => {
+    const trackFilename = `${baseName} [${track.name || `Track ${trackIndex + 1}`}].gpx`;
+    const activity = buildGPXActivity(track.segments.flat(), track.name, gpx.creator, trackFilename);
+    if (!activity.error) activity.source = { sourceFilename: filename, trackIndex, trackName: track.name };
+    return activity;
+  });
+}
+
+// Parse a TCX file into the activity model (session totals aggregated from laps)
+function parseTCXActivity(fileBuffer, filename) {
+  try {
+    const { sport, laps, points, creator } = parseTCX(fileBuffer);
+
+    if (!points.length) {
       return { error: 'No track data found', filename };
     }
 
-    const points = rawPoints.map(pt => ({
-      ...pt,
-      time: pt.time ? new Date(pt.time) : null
-    }));
-
-    const stats = {
-      filename: filename,
-      fileType: 'GPX',
-      totalTime: getTotalTime(points),
-      distance: getTotalDistance(points),
-      elevationGain: getTotalElevationGain(points),
-      pointCount: points.length,
-      startTime: points[0]?.time || null,
-      endTime: points[points.length - 1]?.time || null,
-      // GPX files don't have these fields
-      avgHeartRate: null,
-      maxHeartRate: null,
-      avgCadence: null,
-      calories: null,
-      sport: 'unknown',
-      avgSpeed: null,
-      maxSpeed: null
+    const sumLaps = key => laps.reduce((sum, lap) => sum + (lap[key] || 0), 0);
+    const lapTime = sumLaps('totalTime');
+    const lapDistance = sumLaps('distance');
+    const lastDeviceDistance = [...points].reverse().find(pt => typeof pt.distance === 'number')?.distance;
+
+    // Lap averages weighted by lap duration
+    const weightedLapAverage = key => {
+      const withValue = laps.filter(lap => lap[key] !== null && lap.totalTime > 0);
+      const totalTime = withValue.reduce((sum, lap) => sum + lap.totalTime, 0);
+      return totalTime > 0
+        ? Math.round(withValue.reduce((sum, lap) => sum + lap[key] * lap.totalTime, 0) / totalTime)
+        : null;
+    };
+    const lapMax = key => {
+      const values = laps.map(lap => lap[key]).filter(value => value !== null);
+      return values.length ? Math.max(...values) : null;
     };
 
-    return { stats, pointCount: points.length };
+    const totalTime = lapTime || getTotalTime(points);
+    const distance = lapDistance > 0
+      ? lapDistance / 1000
+      : (lastDeviceDistance ? lastDeviceDistance / 1000 : getTotalDistance(points));
+
+    return {
+      filename,
+      fileType: 'TCX',
+      metadata: {
+        name: null,
+        sport,
+        subSport: null,
+        isRunning: null,
+        sessionIndex: null,
+        sessionCount: null,
+        startTime: laps[0]?.startTime || null
+      },
+      device: creator,
+      session: {
+        totalTime,
+        distance,
+        elevationGain: null,
+        elevationLoss: null,
+        avgHeartRate: weightedLapAverage('avgHeartRate'),
+        maxHeartRate: lapMax('maxHeartRate'),
+        avgCadence: weightedLapAverage('avgCadence'),
+        calories: sumLaps('calories') || null,
+        avgSpeed: totalTime > 0 ? (distance / totalTime) * 3600 : null,
+        maxSpeed: lapMax('maxSpeed')
+      },
+      laps: getTCXLaps(laps, points),
+      points
+    };
   } catch (error) {
     console.error(`Error processing ${filename}:`, error.message);
     return { error: error.message, filename };
   }
 }
 
-// Helper function to extract route points for binning
-async function getRoutePoints(fileBuffer, filename) {
+/**
+ * Parse any supported upload (GPX, FIT, TCX) once into the activity model
+ * @param {Buffer} fileBuffer
+ * @param {string} filename - Extension picks the parser
+ * @param {Object} [options] - { gpxTracks, fitSession }
+ * @returns {Promise<Object>} - Activity model, or { error, filename }
+ */
+async function parseActivity(fileBuffer, filename, options = {}) {
   const extension = filename.toLowerCase().split('.').pop();
-  
+
   if (extension === 'gpx') {
-    return getGPXRoutePoints(fileBuffer);
+    return parseGPXActivity(fileBuffer, filename, options);
   } else if (extension === 'fit') {
-    return await getFITRoutePoints(fileBuffer);
+    return await parseFITActivity(fileBuffer, filename, options);
+  } else if (extension === 'tcx') {
+    return parseTCXActivity(fileBuffer, filename);
   }
-  
-  return null;
+  return { error: 'Unsupported file type. Only GPX, FIT and TCX files are supported.', filename };
 }
 
-// Extract route points from GPX
-function getGPXRoutePoints(fileBuffer) {
-  try {
-    const gpx = new GPXParser();
-    gpx.parse(fileBuffer.toString());
-    
-    let rawPoints = gpx.tracks?.[0]?.points || [];
-    if (!rawPoints.length && gpx.routes?.[0]?.points?.length) {
-      rawPoints = gpx.routes[0].points;
-    }
-    
-    return rawPoints.map(pt => ({
-      lat: pt.lat,
-      lon: pt.lon,
-      ele: pt.ele || 0,
-      time: pt.time ? new Date(pt.time) : null,
-      heartRate: null, // GPX typically doesn't have HR
-      cadence: null,
-      speed: null
-    }));
-  } catch (error) {
-    console.error('Error extracting GPX route points:', error);
-    return null;
+/**
+ * Parse one upload into every activity it holds, still with a single parse.
+ * Multi-track GPX files give one activity per track with options.gpxTracks = 'split'.
+ * Multisport FIT files give one activity per session (options.fitSessions: 'running' skips
+ * non-running sessions, 'all' keeps them flagged isRunning: false, 'first' keeps the old single result).
+ * @returns {Promise<{activities: Array, skippedSessions: Array}>} - activities may be { error, filename }
+ */
+async function parseActivities(fileBuffer, filename, options = {}) {
+  const extension = filename.toLowerCase().split('.').pop();
+  const fitSessions = options.fitSessions || 'running';
+
+  if (extension === 'gpx' && options.gpxTracks === 'split') {
+    return { activities: parseGPXTrackActivities(fileBuffer, filename), skippedSessions: [] };
   }
-}
 
-// Extract route points from FIT
-function getFITRoutePoints(fileBuffer) {
-  console.log('getFITRoutePoints called');
-  console.log('getFITRoutePoints called, buffer size:', fileBuffer.length);
-  return new Promise((resolve) => {
-    try {
-      const fitParser = new FitParser({
-        force: true,
-        speedUnit: 'km/h',
-        lengthUnit: 'm',
-        temperatureUnit: 'celsius',
-        elapsedRecordField: true,
-        mode: 'both'
-      });
+  if (extension !== 'fit' || fitSessions === 'first') {
+    return { activities: [await parseActivity(fileBuffer, filename, options)], skippedSessions: [] };
+  }
 
-      fitParser.parse(fileBuffer, function (error, data) {
-        console.log('fitParser.parse callback called');
-        if (error) {
-          console.error('FIT parsing error for route points:', error);
-          resolve(null);
-          return;
-        }
-
-        // Try all possible locations for records
-        let records = [];
-        if (data.activity?.records) {
-          records = data.activity.records;
-        } else if (data.records) {
-          records = data.records;
-        } else if (Array.isArray(data.record)) {
-          records = data.record;
-        }
-        console.log(`📍 FIT route extraction: Found ${records.length} total records (activity.records, records, or record)`);
-
-        // More flexible position detection
-        const pointsWithPosition = records.filter(record => {
-          const hasLat = record.position_lat !== undefined || record.lat !== undefined;
-          const hasLon = record.position_long !== undefined || record.lon !== undefined || record.lng !== undefined;
-          return hasLat && hasLon;
-        });
-
-        console.log(`📍 Records with GPS position: ${pointsWithPosition.length}/${records.length}`);
-
-        function semicirclesToDegrees(val) {
-          return val * (180 / Math.pow(2, 31));
-        }
-
-        const points = pointsWithPosition.map(record => {
-          const lat = (typeof record.position_lat === 'number')
-            ? (Math.abs(record.position_lat) > 180 ? semicirclesToDegrees(record.position_lat) : record.position_lat)
-            : record.lat;
-          const lon = (typeof record.position_long === 'number')
-            ? (Math.abs(record.position_long) > 180 ? semicirclesToDegrees(record.position_long) : record.position_long)
-            : (record.lon || record.lng);
-
-          return {
-            lat,
-            lon,
-            ele: record.altitude || record.enhanced_altitude || record.elevation || 0,
-            time: record.timestamp ? new Date(record.timestamp) : null,
-            heartRate: record.heart_rate || record.heartRate || null,
-            cadence: record.cadence || null,
-            speed: record.speed || record.enhanced_speed || null
-          };
-        });
-
-        console.log(`📍 Final route points for binning: ${points.length}`);
-        if (points.length > 0) {
-          console.log(`First point:`, points[0]);
-          console.log(`Last point:`, points[points.length - 1]);
-        }
-
-        resolve(points);
-      });
-    } catch (error) {
-      console.error('Error creating FIT parser for route points:', error);
-      resolve(null);
+  const { data, error } = await parseFITData(fileBuffer, filename);
+  if (error) return { activities: [{ error, filename }], skippedSessions: [] };
+
+  const sessions = getFITSessionMessages(data).map(getFITSessionInfo);
+  if (sessions.length <= 1) {
+    // Single-sport files get the same sport check (files without a session message are assumed to be runs)
+    if (sessions.length === 1 && !sessions[0].isRunning && fitSessions === 'running') {
+      return { activities: [], skippedSessions: [{ filename, ...sessions[0] }] };
+    }
+    return { activities: [buildFITActivity(data, filename)], skippedSessions: [] };
+  }
+
+  const baseName = filename.replace(/\.fit$/i, '');
+  const activities = [];
+  const skippedSessions = [];
+  sessions.forEach(session => {
+    if (!session.isRunning && fitSessions === 'running') {
+      skippedSessions.push({ filename, ...session });
+      return;
     }
+    const activity = buildFITActivity(data, `${baseName} [Session ${session.sessionIndex + 1} ${session.sport}].fit`, session.sessionIndex);
+    if (!activity.error) activity.source = { sourceFilename: filename, sessionIndex: session.sessionIndex };
+    activities.push(activity);
   });
+
+  return { activities, skippedSessions };
+}
+
+/**
+ * File stats from an activity model (same shape processFile has always returned)
+ * Device-reported session totals win; the route points fill in whatever the file lacks.
+ * Grade adjusted pace / equivalent flat distance come from the analysis bins (analyzeRoutePoints).
+ */
+function getActivityStats(activity) {
+  const { points, session, metadata } = activity;
+  const pauses = detectPauses(points);
+  const heartRate = getPointFieldStats(points, 'heartRate');
+  const cadence = getPointFieldStats(points, 'cadence');
+  const elevationPoints = maskMissingElevation(points);
+
+  const stats = {
+    filename: activity.filename,
+    fileType: activity.fileType,
+    totalTime: session.totalTime || getTotalTime(points),
+    movingTime: pauses.movingTime,
+    stoppedTime: pauses.stoppedTime,
+    distance: session.distance || getTotalDistance(points),
+    elevationGain: session.elevationGain || getTotalElevationGain(elevationPoints),
+    elevationLoss: session.elevationLoss || getTotalElevationLoss(elevationPoints),
+    pointCount: points.length,
+    startTime: points[0]?.time || metadata.startTime || null,
+    endTime: points[points.length - 1]?.time || null,
+    avgHeartRate: session.avgHeartRate ?? heartRate.avg,
+    maxHeartRate: session.maxHeartRate ?? heartRate.max,
+    avgCadence: session.avgCadence ?? cadence.avg,
+    calories: session.calories,
+    sport: metadata.sport,
+    avgSpeed: session.avgSpeed,
+    maxSpeed: session.maxSpeed
+  };
+
+  if (activity.fileType === 'FIT') {
+    Object.assign(stats, {
+      subSport: metadata.subSport,
+      isRunning: metadata.isRunning,
+      sessionIndex: metadata.sessionIndex,
+      sessionCount: metadata.sessionCount
+    });
+  }
+  if (activity.laps) {
+    stats.lapCount = activity.laps.length;
+    stats.laps = activity.laps;
+  }
+
+  return stats;
+}
+
+// Parse once and return { stats, pointCount } or { error, filename }
+function toProcessResult(activity) {
+  if (activity.error) return activity;
+  return { stats: getActivityStats(activity), pointCount: activity.points.length };
+}
+
+// Process GPX, FIT and TCX files (async)
+// options.gpxTracks: 'first' (default) or 'merge' - see selectGPXPoints
+async function processFile(fileBuffer, filename, options = {}) {
+  return toProcessResult(await parseActivity(fileBuffer, filename, options));
+}
+
+// Format-specific entry points, kept for existing callers
+async function processFITFile(fileBuffer, filename, options = {}) {
+  return toProcessResult(await parseFITActivity(fileBuffer, filename, options));
+}
+
+function processGPXFile(fileBuffer, filename, options = {}) {
+  return toProcessResult(parseGPXActivity(fileBuffer, filename, options));
+}
+
+function processTCXFile(fileBuffer, filename) {
+  return toProcessResult(parseTCXActivity(fileBuffer, filename));
+}
+
+// Helper function to extract route points for binning (null when the file can't be parsed)
+async function getRoutePoints(fileBuffer, filename, options = {}) {
+  const activity = await parseActivity(fileBuffer, filename, options);
+  return activity.error ? null : activity.points;
+}
+
+function getGPXRoutePoints(fileBuffer, options = {}) {
+  const activity = parseGPXActivity(fileBuffer, 'route.gpx', options);
+  return activity.error ? null : activity.points;
+}
+
+async function getFITRoutePoints(fileBuffer, options = {}) {
+  const activity = await parseFITActivity(fileBuffer, 'route.fit', options);
+  return activity.error ? null : activity.points;
+}
+
+function getTCXRoutePoints(fileBuffer) {
+  const activity = parseTCXActivity(fileBuffer, 'route.tcx');
+  return activity.error ? null : activity.points;
 }
 
 module.exports = {
   getTotalDistance,
   getTotalTime,
   getTotalElevationGain,
+  getTotalElevationLoss,
+  maskMissingElevation,
+  parseActivity,
+  parseActivities,
+  getActivityStats,
   processFITFile,
   processFile,
   processGPXFile,
   getRoutePoints,
   getGPXRoutePoints,
-  getFITRoutePoints
-};
\ No newline at end of file
+  getFITRoutePoints,
+  processTCXFile,
+  getTCXRoutePoints,
+  GPX_TRACK_MODES,
+  FIT_SESSION_MODES,
+  getFITSessions
+};
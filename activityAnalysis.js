@@ -0,0 +1,121 @@
+/**
+ * PER-FILE ANALYSIS
+ *
+ * Everything that happens to one uploaded file: parse once (GPXhelpers.parseActivities),
+ * DEM correction → elevation smoothing → pause detection → binning → summaries (+ GeoJSON on request).
+ * Lives outside server.js so batch worker threads (analysisWorker.js) can run it too.
+ */
+
+const gpxBinning = require('./gpxBinning');
+const {
+  getTotalElevationGain,
+  getTotalElevationLoss,
+  maskMissingElevation,
+  parseActivities,
+  getActivityStats
+} = require('./GPXhelpers');
+const { smoothElevation } = require('./elevationSmoothing');
+const { correctElevation } = require('./demElevation');
+const { detectPauses } = require('./pauseDetection');
+const { getBinGeoJSON } = require('./routeGeoJSON');
+
+// The points bins are built from: DEM correction → elevation smoothing → pause detection
+async function prepareRoutePoints(filename, routePoints, binningOptions) {
+  // Points without GPS (treadmill, tunnels) are binned by device distance unless GPS-only distance was requested
+  const positionedPoints = binningOptions.distanceSource === 'gps'
+    ? routePoints.filter(gpxBinning.hasPosition)
+    : routePoints;
+
+  // DEM correction runs first so smoothing works on the corrected series
+  const { points: correctedPoints, correction } = await correctElevation(positionedPoints, binningOptions.elevationCorrection);
+  correction.warnings.forEach(warning => console.warn(`⚠️ ${filename}: ${warning}`));
+
+  const { points: smoothedPoints, smoothing } = smoothElevation(correctedPoints, binningOptions.smoothing);
+  const { points, movingTime, stoppedTime, stopCount } = detectPauses(smoothedPoints, binningOptions.pauseDetection);
+  return { points, correction, smoothing, movingTime, stoppedTime, stopCount };
+}
+
+// Correct and smooth elevation, then bin and summarise one file's route points
+async function analyzeRoutePoints(stats, routePoints, binLength, gapModel, binningOptions) {
+  const elevationSmoothing = { ...binningOptions.smoothing, gradientMethod: binningOptions.gradientMethod };
+
+  if (!routePoints || routePoints.length === 0) {
+    return {
+      ...stats,
+      binLength,
+      bins: [],
+      binSummary: null,
+      gradeAdjustedPace: null,
+      equivalentFlatDistance: null,
+      routePointCount: 0,
+      hasHeartRateData: false,
+      elevationSmoothing,
+      elevationCorrection: null,
+      usedCorrectedElevation: false,
+      stopCount: 0
+    };
+  }
+
+  const { points, correction, smoothing, movingTime, stoppedTime, stopCount } =
+    await prepareRoutePoints(stats.filename, routePoints, binningOptions);
+  const bins = gpxBinning.getAnalysisBins(points, binLength, gapModel, null, binningOptions);
+  const binSummary = gpxBinning.getBinSummary(bins, { heartRate: binningOptions.heartRate, power: binningOptions.power });
+  const elevationAdjusted = smoothing.method !== 'none' || correction.applied || correction.interpolatedPoints > 0;
+  const elevationPoints = maskMissingElevation(points);
+
+  return {
+    ...stats,
+    // Elevation gain/loss follow the same corrected/smoothed series the bins were built from
+    elevationGain: elevationAdjusted ? getTotalElevationGain(elevationPoints) : stats.elevationGain,
+    elevationLoss: elevationAdjusted ? getTotalElevationLoss(elevationPoints) : stats.elevationLoss,
+    // Grade adjustment from these bins (selected GAP model, pause detection and binning options)
+    gradeAdjustedPace: binSummary?.gradeAdjustedPace ?? null,
+    equivalentFlatDistance: binSummary?.equivalentFlatDistance ?? null,
+    movingTime,
+    stoppedTime,
+    stopCount,
+    binLength,
+    binMode: binningOptions.binMode,
+    binBoundary: binningOptions.binBoundary,
+    distanceSource: binningOptions.distanceSource,
+    pointsWithoutPosition: routePoints.filter(pt => !gpxBinning.hasPosition(pt)).length,
+    bins,
+    binSummary,
+    // Device laps (FIT/TCX) with pace and grade adjusted pace from the bins inside each lap
+    ...(stats.laps && { laps: gpxBinning.getLapSplits(stats.laps, bins) }),
+    routePointCount: routePoints.length,
+    segmentCount: new Set(routePoints.map(pt => pt.segment)).size,
+    // Check if this file has heart rate data in any bin
+    hasHeartRateData: bins.some(bin => bin.avgHeartRate !== null),
+    elevationSmoothing,
+    elevationCorrection: correction,
+    usedCorrectedElevation: correction.applied,
+    pauseDetection: binningOptions.pauseDetection,
+    ...(binningOptions.geojson?.enabled && { geojson: getBinGeoJSON(points, bins, binningOptions.geojson) })
+  };
+}
+
+// Parse one upload once and analyse every activity in it (one per session for multisport FIT,
+// one per track for a split multi-track GPX)
+async function analyzeUploadedFile(file, binLength, gapModel, binningOptions) {
+  const { activities, skippedSessions } = await parseActivities(file.buffer, file.originalname, binningOptions);
+  const results = [];
+  const errors = [];
+
+  for (const activity of activities) {
+    if (activity.error) {
+      errors.push({ filename: activity.filename, error: activity.error });
+      continue;
+    }
+    const binnedResult = await analyzeRoutePoints(getActivityStats(activity), activity.points, binLength, gapModel, binningOptions);
+    results.push({ ...binnedResult, ...activity.source });
+  }
+
+  return { results, errors, skippedSessions };
+}
+
+module.exports = {
+  prepareRoutePoints,
+  analyzeRoutePoints,
+  analyzeUploadedFile
+};
@@ -0,0 +1,348 @@
+/**
+ * ACTIVITY EXPORT
+ *
+ * Writes an analysed activity back out as GPX 1.1 or TCX so GPS viewers and tools like
+ * Golden Cheetah can show RunGrade's analysis next to the original recording.
+ *
+ * Every trackpoint keeps its device values (time, position, elevation, HR, cadence) and gains
+ * rungrade:* extensions (namespace urn:rungrade:extensions:v1):
+ * - smoothedEle: elevation after DEM correction / smoothing (m)
+ * - gradient: local gradient over binLength meters centred on the point (%)
+ * - pace / gap: moving pace and grade adjusted pace over the same window (min/km)
+ * - bin: index of the bin the point belongs to
+ *
+ * Bins are marked with one GPX waypoint each (gradient, pace, GAP, HR); TCX has no waypoints
+ * in activities, so the first trackpoint of each bin carries a rungrade:binStart extension instead.
+ * GPX trackpoints need a position, so points without GPS (treadmill, tunnels) only appear in TCX.
+ */
+
+const gpxBinning = require('./gpxBinning');
+const { parseActivities } = require('./GPXhelpers');
+const { resolveGradeAdjustmentModel } = require('./Coefficients');
+const { prepareRoutePoints } = require('./activityAnalysis');
+
+const ACTIVITY_EXPORT_FORMATS = ['gpx', 'tcx'];
+const RUNGRADE_NAMESPACE = 'urn:rungrade:extensions:v1';
+
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Fixed-decimal number for XML text, or null when missing
+function formatNumber(value, decimals) {
+  return typeof value === 'number' && isFinite(value) ? Number(value.toFixed(decimals)).toString() : null;
+}
+
+function toISOTime(time) {
+  if (!time) return null;
+  const date = new Date(time);
+  return isNaN(date) ? null : date.toISOString();
+}
+
+// Optional element: nothing when the value is missing
+function element(name, value) {
+  return value === null || value === undefined ? '' : `<${name}>${escapeXML(value)}</${name}>`;
+}
+
+function paceLabel(pace) {
+  if (!(pace > 0) || !isFinite(pace)) return '-';
+  let minutes = Math.floor(pace);
+  let seconds = Math.round((pace - minutes) * 60);
+  if (seconds === 60) {
+    minutes++;
+    seconds = 0;
+  }
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Per-point local gradient, moving pace and GAP over a window of halfWindow meters either side
+ * @returns {Array} - [{distance, gradient, pace, gradeAdjustedPace, binIndex}] aligned with points
+ */
+function getPointAnnotations(points, bins, gapModel, halfWindow, distanceSource = 'auto') {
+  const model = resolveGradeAdjustmentModel(gapModel);
+  const cumulativeDistance = gpxBinning.getCumulativeDistance(points, distanceSource);
+  const gradients = gpxBinning.getLocalGradients(points, cumulativeDistance, halfWindow);
+
+  // Cumulative moving seconds: stationary time flagged by detectPauses and segment gaps don't count
+  const movingSeconds = [0];
+  for (let i = 1; i < points.length; i++) {
+    const gap = points[i - 1].segment !== points[i].segment;
+    const dt = points[i - 1].time && points[i].time ? (new Date(points[i].time) - new Date(points[i - 1].time)) / 1000 : 0;
+    movingSeconds.push(movingSeconds[i - 1] + (gap || !(dt > 0) ? 0 : Math.max(0, dt - (points[i].stoppedSeconds || 0))));
+  }
+
+  // A boundary point shared by two bins belongs to the bin it starts
+  const binIndexes = new Array(points.length).fill(null);
+  bins.forEach((bin, binIndex) => {
+    for (let i = bin.startIdx; i <= bin.endIdx && i < points.length; i++) binIndexes[i] = binIndex;
+  });
+
+  let lo = 0;
+  let hi = 0;
+  return points.map((point, i) => {
+    while (cumulativeDistance[lo] < cumulativeDistance[i] - halfWindow) lo++;
+    while (hi < points.length - 1 && cumulativeDistance[hi + 1] <= cumulativeDistance[i] + halfWindow) hi++;
+
+    const distance = cumulativeDistance[hi] - cumulativeDistance[lo];
+    const seconds = movingSeconds[hi] - movingSeconds[lo];
+    const pace = distance > 0 && seconds > 0 ? (seconds / 60) / (distance / 1000) : null;
+    const adjustment = model.adjust(gradients[i]);
+
+    return {
+      distance: cumulativeDistance[i],
+      gradient: gradients[i],
+      pace,
+      gradeAdjustedPace: pace !== null && isFinite(adjustment) && adjustment > 0 ? pace / adjustment : null,
+      binIndex: binIndexes[i]
+    };
+  });
+}
+
+// Device elevation before DEM correction / smoothing (null where the device recorded none)
+function getOriginalElevation(point) {
+  if (point.hasElevation === false || point.deviceEle === null) return null;
+  return point.deviceEle ?? point.rawEle ?? point.ele;
+}
+
+function getRunGradeExtensions(point, annotation) {
+  return [
+    point.hasElevation === false ? '' : element('rungrade:smoothedEle', formatNumber(point.ele, 2)),
+    element('rungrade:gradient', formatNumber(annotation.gradient, 2)),
+    element('rungrade:pace', formatNumber(annotation.pace, 3)),
+    element('rungrade:gap', formatNumber(annotation.gradeAdjustedPace, 3)),
+    element('rungrade:bin', annotation.binIndex)
+  ].join('');
+}
+
+function getBinDescription(bin) {
+  const gradeAdjustedPace = bin.pace_min_per_km > 0 && bin.adjustmentFactor > 0 ? bin.pace_min_per_km / bin.adjustmentFactor : null;
+  const parts = [
+    `Gradient ${formatNumber(bin.gradient, 1)}%`,
+    `pace ${paceLabel(bin.pace_min_per_km)}/km`,
+    `GAP ${paceLabel(gradeAdjustedPace)}/km`
+  ];
+  if (bin.avgHeartRate) parts.push(`HR ${bin.avgHeartRate}`);
+  return { text: parts.join(', '), gradeAdjustedPace };
+}
+
+function getBinExtensions(bin, binIndex, gradeAdjustedPace) {
+  return [
+    element('rungrade:index', binIndex),
+    element('rungrade:distance', formatNumber(bin.distance, 1)),
+    element('rungrade:gradient', formatNumber(bin.gradient, 2)),
+    element('rungrade:pace', formatNumber(bin.pace_min_per_km, 3)),
+    element('rungrade:gap', formatNumber(gradeAdjustedPace, 3)),
+    element('rungrade:avgHeartRate', bin.avgHeartRate)
+  ].join('');
+}
+
+/**
+ * GPX 1.1 with one waypoint per bin and annotated trackpoints (one trkseg per recorded segment)
+ */
+function buildAnnotatedGPX(activity, points, bins, annotations) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="RunGrade" xmlns="http://www.topografix.com/GPX/1/1"' +
+      ' xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1"' +
+      ` xmlns:rungrade="${RUNGRADE_NAMESPACE}">`,
+    `<metadata>${element('name', activity.metadata.name || activity.filename)}${element('time', toISOTime(activity.metadata.startTime || points[0]?.time))}</metadata>`
+  ];
+
+  // Waypoints come before the track in GPX 1.1
+  bins.forEach((bin, binIndex) => {
+    let idx = bin.startIdx;
+    while (idx <= bin.endIdx && idx < points.length && !gpxBinning.hasPosition(points[idx])) idx++;
+    const point = points[idx];
+    if (!point || idx > bin.endIdx || !gpxBinning.hasPosition(point)) return;
+
+    const { text, gradeAdjustedPace } = getBinDescription(bin);
+    lines.push(
+      `<wpt lat="${point.lat}" lon="${point.lon}">` +
+      element('ele', formatNumber(getOriginalElevation(point), 2)) +
+      element('time', toISOTime(point.time)) +
+      element('name', `Bin ${binIndex + 1}`) +
+      element('desc', text) +
+      element('type', 'rungrade-bin') +
+      `<extensions>${getBinExtensions(bin, binIndex, gradeAdjustedPace)}</extensions></wpt>`
+    );
+  });
+
+  lines.push(`<trk>${element('name', activity.metadata.name || activity.filename)}${element('type', activity.metadata.sport)}`);
+  let segmentOpen = false;
+  let openSegment;
+  points.forEach((point, i) => {
+    if (!gpxBinning.hasPosition(point)) return;
+    if (!segmentOpen || point.segment !== openSegment) {
+      if (segmentOpen) lines.push('</trkseg>');
+      lines.push('<trkseg>');
+      segmentOpen = true;
+      openSegment = point.segment;
+    }
+
+    const tpx = element('gpxtpx:hr', point.heartRate) + element('gpxtpx:cad', point.cadence);
+    lines.push(
+      `<trkpt lat="${point.lat}" lon="${point.lon}">` +
+      element('ele', formatNumber(getOriginalElevation(point), 2)) +
+      element('time', toISOTime(point.time)) +
+      '<extensions>' +
+      (tpx ? `<gpxtpx:TrackPointExtension>${tpx}</gpxtpx:TrackPointExtension>` : '') +
+      getRunGradeExtensions(point, annotations[i]) +
+      '</extensions></trkpt>'
+    );
+  });
+  if (segmentOpen) lines.push('</trkseg>');
+  lines.push('</trk>', '</gpx>', '');
+
+  return lines.join('\n');
+}
+
+// TCX sport attribute: Running, Biking or Other
+function getTCXSport(activity) {
+  if (activity.metadata.isRunning || activity.metadata.sport === 'running') return 'Running';
+  if (activity.metadata.sport === 'cycling' || activity.metadata.sport === 'biking') return 'Biking';
+  return 'Other';
+}
+
+/**
+ * TCX with the activity's laps (or one lap for GPX) and annotated trackpoints
+ */
+function buildAnnotatedTCX(activity, points, bins, annotations) {
+  const firstTime = points.find(point => point.time)?.time;
+  const lastTime = [...points].reverse().find(point => point.time)?.time;
+  const laps = activity.laps && activity.laps.length
+    ? activity.laps
+    : [{
+      startTime: firstTime,
+      endTime: lastTime,
+      totalTime: firstTime && lastTime ? (new Date(lastTime) - new Date(firstTime)) / 1000 : 0,
+      distance: annotations.length ? annotations[annotations.length - 1].distance / 1000 : 0
+    }];
+
+  const binStarts = new Map();
+  bins.forEach((bin, binIndex) => {
+    if (!binStarts.has(bin.startIdx)) binStarts.set(bin.startIdx, binIndex);
+  });
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2"' +
+      ' xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2"' +
+      ` xmlns:rungrade="${RUNGRADE_NAMESPACE}">`,
+    '<Activities>',
+    `<Activity Sport="${getTCXSport(activity)}">`,
+    element('Id', toISOTime(activity.metadata.startTime || firstTime))
+  ];
+
+  // Each point goes in the lap whose [startTime, endTime) holds it; untimed points go in the first lap
+  let pointIdx = 0;
+  laps.forEach((lap, lapIndex) => {
+    const lapEnd = lap.endTime && lapIndex < laps.length - 1 ? new Date(lap.endTime).getTime() : Infinity;
+    lines.push(
+      `<Lap StartTime="${escapeXML(toISOTime(lap.startTime) || toISOTime(firstTime) || '')}">` +
+      element('TotalTimeSeconds', formatNumber(lap.totalTime || 0, 1)) +
+      element('DistanceMeters', formatNumber((lap.distance || 0) * 1000, 1)) +
+      '<Calories>0</Calories>' +
+      (lap.avgHeartRate ? `<AverageHeartRateBpm><Value>${Math.round(lap.avgHeartRate)}</Value></AverageHeartRateBpm>` : '') +
+      (lap.maxHeartRate ? `<MaximumHeartRateBpm><Value>${Math.round(lap.maxHeartRate)}</Value></MaximumHeartRateBpm>` : '') +
+      '<Intensity>Active</Intensity><TriggerMethod>Manual</TriggerMethod>'
+    );
+    lines.push('<Track>');
+
+    while (pointIdx < points.length) {
+      const point = points[pointIdx];
+      if (point.time && new Date(point.time).getTime() >= lapEnd) break;
+
+      const annotation = annotations[pointIdx];
+      const binIndex = binStarts.get(pointIdx);
+      let binStart = '';
+      if (binIndex !== undefined) {
+        const { gradeAdjustedPace } = getBinDescription(bins[binIndex]);
+        binStart = `<rungrade:binStart>${getBinExtensions(bins[binIndex], binIndex, gradeAdjustedPace)}</rungrade:binStart>`;
+      }
+      const tpx = element('ns3:Speed', formatNumber(typeof point.speed === 'number' ? point.speed / 3.6 : null, 3)) +
+        element('ns3:RunCadence', point.cadence);
+
+      lines.push(
+        '<Trackpoint>' +
+        element('Time', toISOTime(point.time)) +
+        (gpxBinning.hasPosition(point)
+          ? `<Position><LatitudeDegrees>${point.lat}</LatitudeDegrees><LongitudeDegrees>${point.lon}</LongitudeDegrees></Position>`
+          : '') +
+        element('AltitudeMeters', formatNumber(getOriginalElevation(point), 2)) +
+        element('DistanceMeters', formatNumber(annotation.distance, 2)) +
+        (point.heartRate ? `<HeartRateBpm><Value>${Math.round(point.heartRate)}</Value></HeartRateBpm>` : '') +
+        '<Extensions>' +
+        (tpx ? `<ns3:TPX>${tpx}</ns3:TPX>` : '') +
+        getRunGradeExtensions(point, annotation) +
+        binStart +
+        '</Extensions></Trackpoint>'
+      );
+      pointIdx++;
+    }
+
+    lines.push('</Track>', '</Lap>');
+  });
+
+  lines.push(
+    `<Creator xsi:type="Device_t" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">${element('Name', 'RunGrade')}</Creator>`,
+    '</Activity>',
+    '</Activities>',
+    '</TrainingCenterDatabase>',
+    ''
+  );
+
+  return lines.join('\n');
+}
+
+/**
+ * Analyse one uploaded file and return it as annotated GPX/TCX
+ * @param {Object} file - multer file ({buffer, originalname})
+ * @param {string} format - 'gpx' or 'tcx'
+ * @param {number} binLength - Bin length (m), also the gradient/pace window
+ * @param {Object} gapModel - Resolved GAP model
+ * @param {Object} binningOptions - From getRequestBinningOptions
+ * @param {number} [activityIndex] - Which activity of a multisport FIT or, with gpxTracks = 'split',
+ *   which track of a multi-track GPX (default first)
+ * @returns {Promise<{filename: string, content: string}>}
+ */
+async function exportAnnotatedActivity(file, format, binLength, gapModel, binningOptions, activityIndex = 0) {
+  if (!ACTIVITY_EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown export format '${format}'. Available: ${ACTIVITY_EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const { activities } = await parseActivities(file.buffer, file.originalname, binningOptions);
+  const activity = activities[activityIndex];
+  if (!activity) {
+    throw new Error(`Activity ${activityIndex} not found (file has ${activities.length})`);
+  }
+  if (activity.error) throw new Error(activity.error);
+
+  if (format === 'gpx' && !activity.points.some(gpxBinning.hasPosition)) {
+    throw new Error(`${activity.filename} has no GPS positions to write as GPX; export it as TCX instead`);
+  }
+
+  const { points } = await prepareRoutePoints(activity.filename, activity.points, binningOptions);
+  const bins = gpxBinning.getAnalysisBins(points, binLength, gapModel, null, binningOptions);
+  const annotations = getPointAnnotations(points, bins, gapModel, binLength / 2, binningOptions.distanceSource);
+
+  const content = format === 'gpx'
+    ? buildAnnotatedGPX(activity, points, bins, annotations)
+    : buildAnnotatedTCX(activity, points, bins, annotations);
+  const baseName = activity.filename.replace(/\.[^.]+$/, '');
+
+  return { filename: `${baseName}.rungrade.${format}`, content };
+}
+
+module.exports = {
+  ACTIVITY_EXPORT_FORMATS,
+  getPointAnnotations,
+  buildAnnotatedGPX,
+  buildAnnotatedTCX,
+  exportAnnotatedActivity
+};
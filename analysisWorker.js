@@ -0,0 +1,28 @@
+/**
+ * ANALYSIS WORKER
+ *
+ * worker_threads entry point used by workerPool.js: analyses one uploaded file per message.
+ * Message: { file: {buffer, originalname, ...}, binLength, gapModel: {name, coefficients}, binningOptions }
+ * Reply: { result: {results, errors, skippedSessions, durationMs} } or { error }
+ */
+
+const { parentPort } = require('worker_threads');
+const { analyzeUploadedFile } = require('./activityAnalysis');
+const { getGradeAdjustmentModel } = require('./Coefficients');
+
+parentPort.on('message', async ({ file, binLength, gapModel, binningOptions }) => {
+  const startedAt = Date.now();
+  try {
+    // Buffers arrive as plain Uint8Arrays after structured cloning
+    const buffer = Buffer.from(file.buffer.buffer, file.buffer.byteOffset, file.buffer.byteLength);
+    const result = await analyzeUploadedFile(
+      { ...file, buffer },
+      binLength,
+      getGradeAdjustmentModel(gapModel.name, gapModel.coefficients),
+      binningOptions
+    );
+    parentPort.postMessage({ result: { ...result, durationMs: Date.now() - startedAt } });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
@@ -0,0 +1,487 @@
+/**
+ * BATCH JOBS
+ *
+ * Each /api/upload-batch call becomes a job with a random UUID. The job keeps its uploaded
+ * files, analysis options, progress and final results until it has been idle for the TTL,
+ * whether or not a client ever opens the SSE stream.
+ *
+ * STORAGE: BATCH_STORAGE = 'memory' (default) or 'disk'. Disk jobs live in BATCH_STORAGE_DIR
+ * (default <os tmpdir>/rungrade-batches), one folder per job holding job.json and the
+ * uploaded files, so queued and finished batches survive a restart.
+ * TTL: BATCH_TTL_MINUTES (default 60), counted from the job's last update.
+ *
+ * STATUS: pending → processing → complete | failed | cancelled
+ * A job is processed once (startBatchJob); SSE streams and status polling both read its progress.
+ *
+ * EVENTS: every SSE payload is logged with the job under a sequential numeric id
+ * (progress, file-result, complete, error, cancelled), so a stream can be resumed or replayed
+ * from any Last-Event-ID - including after the job has finished.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { getAnalysisPool, analyzeFileInWorker } = require('./workerPool');
+const { getResultsSummary } = require('./gpxBinning');
+
+const BATCH_STORAGE_TYPES = ['memory', 'disk'];
+const BATCH_JOB_STATUSES = ['pending', 'processing', 'complete', 'failed', 'cancelled'];
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+function createMemoryStorage() {
+  const jobs = new Map();
+  const files = new Map();
+  const events = new Map();
+  return {
+    async saveJob(job) { jobs.set(job.id, job); },
+    async loadJob(id) { return jobs.get(id) || null; },
+    async deleteJob(id) { jobs.delete(id); files.delete(id); events.delete(id); },
+    async listJobIds() { return [...jobs.keys()]; },
+    async saveFiles(id, uploaded) { files.set(id, uploaded); },
+    async loadFiles(id) { return files.get(id) || []; },
+    async deleteFiles(id) { files.delete(id); },
+    async appendEvents(id, entries) {
+      if (!events.has(id)) events.set(id, []);
+      events.get(id).push(...entries);
+    },
+    async loadEvents(id) { return events.get(id) || []; }
+  };
+}
+
+function createDiskStorage(directory) {
+  const jobDir = id => path.join(directory, id);
+  const jobFile = id => path.join(jobDir(id), 'job.json');
+  const eventsFile = id => path.join(jobDir(id), 'events.jsonl');
+
+  return {
+    async saveJob(job) {
+      await fs.promises.mkdir(jobDir(job.id), { recursive: true });
+      // Write then rename so a crash never leaves a half-written job.json
+      const tmpFile = `${jobFile(job.id)}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmpFile, JSON.stringify(job));
+      await fs.promises.rename(tmpFile, jobFile(job.id));
+    },
+    async loadJob(id) {
+      try {
+        return JSON.parse(await fs.promises.readFile(jobFile(id), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async deleteJob(id) {
+      await fs.promises.rm(jobDir(id), { recursive: true, force: true });
+    },
+    async listJobIds() {
+      try {
+        return (await fs.promises.readdir(directory)).filter(name => JOB_ID_PATTERN.test(name));
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    },
+    async saveFiles(id, uploaded) {
+      const filesDir = path.join(jobDir(id), 'files');
+      await fs.promises.mkdir(filesDir, { recursive: true });
+      await Promise.all(uploaded.map((file, i) => fs.promises.writeFile(path.join(filesDir, String(i)), file.buffer)));
+    },
+    async loadFiles(id) {
+      const job = await this.loadJob(id);
+      if (!job) return [];
+      const filesDir = path.join(jobDir(id), 'files');
+      return Promise.all(job.files.map(async (file, i) => ({
+        ...file,
+        buffer: await fs.promises.readFile(path.join(filesDir, String(i)))
+      })));
+    },
+    async deleteFiles(id) {
+      await fs.promises.rm(path.join(jobDir(id), 'files'), { recursive: true, force: true });
+    },
+    async appendEvents(id, entries) {
+      await fs.promises.appendFile(eventsFile(id), entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+    },
+    async loadEvents(id) {
+      try {
+        const lines = (await fs.promises.readFile(eventsFile(id), 'utf8')).split('\n');
+        return lines.filter(Boolean).map(line => JSON.parse(line));
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * Create a job store
+ * @param {Object} [options]
+ * @param {string} [options.storage] - 'memory' or 'disk'
+ * @param {string} [options.directory] - Disk storage folder
+ * @param {number} [options.ttlMs] - Idle time before a job is evicted
+ */
+function createBatchJobStore(options = {}) {
+  const storageType = options.storage || 'memory';
+  if (!BATCH_STORAGE_TYPES.includes(storageType)) {
+    throw new Error(`Unknown batch storage '${storageType}'. Available: ${BATCH_STORAGE_TYPES.join(', ')}`);
+  }
+  const ttlMs = options.ttlMs > 0 ? options.ttlMs : 60 * 60 * 1000;
+  const directory = options.directory || path.join(os.tmpdir(), 'rungrade-batches');
+  const storage = storageType === 'disk' ? createDiskStorage(directory) : createMemoryStorage();
+
+  const isExpired = job => new Date(job.expiresAt).getTime() <= Date.now();
+
+  // Read-modify-write of one job is serialised so parallel progress updates and a
+  // cancel can't overwrite each other
+  const locks = new Map();
+  const withLock = (id, fn) => {
+    const previous = locks.get(id) || Promise.resolve();
+    const next = previous.then(fn, fn);
+    const settled = next.catch(() => {});
+    locks.set(id, settled);
+    settled.then(() => {
+      if (locks.get(id) === settled) locks.delete(id);
+    });
+    return next;
+  };
+
+  const store = {
+    storage: storageType,
+    ttlMs,
+
+    // files: multer files ({originalname, buffer, size}); config: binLength, gapModel, binningOptions
+    async create(files, config) {
+      const now = new Date();
+      const job = {
+        id: crypto.randomUUID(),
+        status: 'pending',
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + ttlMs).toISOString(),
+        files: files.map(file => ({ originalname: file.originalname, size: file.size ?? file.buffer.length })),
+        fileCount: files.length,
+        ...config,
+        progress: { totalFiles: null, filesProcessed: 0, progressPercent: 0, currentFile: null }
+      };
+      await storage.saveFiles(job.id, files.map(file => ({ originalname: file.originalname, buffer: file.buffer })));
+      await storage.saveJob(job);
+      return job;
+    },
+
+    // Job record, or null when unknown or expired
+    async get(id) {
+      if (!JOB_ID_PATTERN.test(id)) return null;
+      const job = await storage.loadJob(id);
+      if (!job) return null;
+      if (isExpired(job) && !runs.has(id)) {
+        await storage.deleteJob(id);
+        return null;
+      }
+      return job;
+    },
+
+    async getFiles(id) {
+      return storage.loadFiles(id);
+    },
+
+    // Merge a patch into the job; every update pushes expiry back by the TTL
+    update(id, patch) {
+      return withLock(id, async () => {
+        const job = await storage.loadJob(id);
+        if (!job) return null;
+        const now = new Date();
+        const updated = {
+          ...job,
+          ...patch,
+          updatedAt: now.toISOString(),
+          expiresAt: new Date(now.getTime() + ttlMs).toISOString()
+        };
+        await storage.saveJob(updated);
+        return updated;
+      });
+    },
+
+    async deleteFiles(id) {
+      await storage.deleteFiles(id);
+    },
+
+    remove(id) {
+      return withLock(id, () => storage.deleteJob(id));
+    },
+
+    // Logged SSE events ({id, event}) with an id above afterId
+    async getEvents(id, afterId = 0) {
+      return (await storage.loadEvents(id)).filter(entry => entry.id > afterId);
+    },
+
+    // Log events in order; entries must already carry their ids
+    appendEvents(id, entries) {
+      return withLock(`${id}:events`, () => storage.appendEvents(id, entries));
+    },
+
+    // Evict every expired job (jobs still being processed are kept)
+    async sweep() {
+      let evicted = 0;
+      for (const id of await storage.listJobIds()) {
+        const job = await storage.loadJob(id).catch(() => null);
+        if (job && isExpired(job) && !runs.has(id)) {
+          await storage.deleteJob(id);
+          evicted++;
+        }
+      }
+      if (evicted > 0) console.log(`🧹 Evicted ${evicted} expired batch job(s)`);
+      return evicted;
+    }
+  };
+
+  const sweepTimer = setInterval(() => {
+    store.sweep().catch(error => console.error('Batch job sweep failed:', error.message));
+  }, Math.min(ttlMs, 60 * 1000));
+  sweepTimer.unref();
+  store.close = () => clearInterval(sweepTimer);
+
+  return store;
+}
+
+// Shared store configured from the environment, created on first use
+let batchJobStore = null;
+
+function getBatchJobStore() {
+  if (!batchJobStore) {
+    const ttlMinutes = Number(process.env.BATCH_TTL_MINUTES);
+    batchJobStore = createBatchJobStore({
+      storage: process.env.BATCH_STORAGE || 'memory',
+      directory: process.env.BATCH_STORAGE_DIR,
+      ttlMs: ttlMinutes > 0 ? ttlMinutes * 60 * 1000 : undefined
+    });
+    console.log(`🗂️ Batch jobs: ${batchJobStore.storage} storage, TTL ${+(batchJobStore.ttlMs / 60000).toFixed(2)} min`);
+  }
+  return batchJobStore;
+}
+
+// Jobs being processed by this server process: id → { emitter, events, cancelled, persisted }
+const runs = new Map();
+
+function getBatchJobRun(id) {
+  return runs.get(id) || null;
+}
+
+// Event types that end a job's stream
+const FINAL_EVENT_TYPES = ['complete', 'error', 'cancelled'];
+
+/**
+ * Process a job's files in the worker pool (no-op if it is already running here)
+ * Emits 'event' ({id, event}) on the returned run's emitter for each logged SSE payload;
+ * run.events holds every entry of this run so new listeners can catch up synchronously.
+ */
+function startBatchJob(store, id) {
+  if (runs.has(id)) return runs.get(id);
+
+  const run = { emitter: new EventEmitter(), events: [], cancelled: false, nextEventId: 1, persisted: Promise.resolve() };
+  run.emitter.setMaxListeners(0);
+  const emit = event => {
+    const entry = { id: run.nextEventId++, event };
+    run.events.push(entry);
+    run.persisted = store.appendEvents(id, [entry]);
+    run.emitter.emit('event', entry);
+  };
+  runs.set(id, run);
+
+  run.done = processBatchJob(store, id, run, emit)
+    .catch(async error => {
+      console.error('Batch processing error:', error);
+      emit({ type: 'error', error: error.message });
+      await run.persisted.catch(() => {});
+      await store.update(id, { status: 'failed', error: error.message }).catch(() => {});
+    })
+    .finally(() => runs.delete(id));
+
+  return run;
+}
+
+async function processBatchJob(store, id, run, emit) {
+  // A job restarted after a server restart keeps numbering after its earlier events
+  const logged = await store.getEvents(id);
+  if (logged.length) run.nextEventId = logged[logged.length - 1].id + 1;
+
+  // End with a cancelled event and keep the job 'cancelled' even if the run marked it processing.
+  // A job cancelled before this run existed already logged its event: pass that one on instead.
+  const finishCancelled = async (filesProcessed, totalFiles) => {
+    const last = (await store.getEvents(id, run.nextEventId - 1)).pop();
+    if (last && last.event.type === 'cancelled') {
+      run.nextEventId = last.id + 1;
+      run.events.push(last);
+      run.emitter.emit('event', last);
+    } else {
+      emit({ type: 'cancelled', batchId: id, filesProcessed, totalFiles });
+      await run.persisted;
+    }
+    await store.update(id, { status: 'cancelled' });
+  };
+  const isCancelled = async () => run.cancelled || (await store.get(id))?.status === 'cancelled';
+
+  // cancelBatchJob may get in before the job is marked processing (and delete the uploads)
+  const pending = await store.get(id);
+  if (!pending) return;
+  if (await isCancelled()) return finishCancelled(0, pending.fileCount);
+
+  let files;
+  try {
+    files = await store.getFiles(id);
+  } catch (error) {
+    if (await isCancelled()) return finishCancelled(0, pending.fileCount);
+    throw error;
+  }
+  const job = await store.update(id, { status: 'processing' });
+  if (!job) return;
+  if (run.cancelled) return finishCancelled(0, pending.fileCount);
+
+  const { binLength, gapModel, binningOptions } = job;
+  const totalFiles = files.length;
+  const pool = getAnalysisPool();
+
+  const allResults = [];
+  const allErrors = [];
+  const skippedSessions = [];
+  const timings = [];
+  const batchStartedAt = Date.now();
+  let filesCompleted = 0;
+
+  emit({
+    type: 'progress',
+    fileIndex: 0,
+    totalFiles,
+    progressPercent: 0,
+    filesProcessed: 0,
+    currentFile: 'Starting analysis...'
+  });
+  await store.update(id, { progress: { totalFiles, filesProcessed: 0, progressPercent: 0, currentFile: null } });
+
+  console.log(`Starting to process ${totalFiles} files on ${pool.size} workers`);
+
+  // One lane per worker: a lane takes the next file when its previous one finishes,
+  // so cancelling stops new files from starting. Progress goes out in completion order.
+  let nextIndex = 0;
+  const lane = async () => {
+    while (nextIndex < totalFiles && !run.cancelled) {
+      const i = nextIndex++;
+      const file = files[i];
+      const analysis = await analyzeFileInWorker(file, binLength, gapModel, binningOptions);
+      if (run.cancelled) return;
+
+      allResults.push(...analysis.results.map(result => ({ ...result, fileIndex: i })));
+      allErrors.push(...analysis.errors);
+      skippedSessions.push(...analysis.skippedSessions);
+      timings.push({ fileIndex: i, filename: file.originalname, durationMs: analysis.durationMs });
+      filesCompleted++;
+
+      console.log(`File ${i + 1}/${totalFiles} complete in ${analysis.durationMs}ms: ${file.originalname}`);
+
+      // Only the new file's results go out; clients accumulate them
+      emit({
+        type: 'file-result',
+        fileIndex: i,
+        filename: file.originalname,
+        durationMs: analysis.durationMs,
+        results: analysis.results.map(result => ({ ...result, fileIndex: i })),
+        errors: analysis.errors,
+        skippedSessions: analysis.skippedSessions
+      });
+
+      const progress = {
+        type: 'progress',
+        fileIndex: i + 1,
+        totalFiles,
+        progressPercent: Math.round((filesCompleted / totalFiles) * 100),
+        filesProcessed: filesCompleted,
+        currentFile: file.originalname,
+        durationMs: analysis.durationMs,
+        elapsedMs: Date.now() - batchStartedAt
+      };
+      emit(progress);
+      await store.update(id, {
+        progress: {
+          totalFiles,
+          filesProcessed: filesCompleted,
+          progressPercent: progress.progressPercent,
+          currentFile: file.originalname
+        }
+      });
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(pool.size, totalFiles) }, lane));
+
+  if (run.cancelled) return finishCancelled(filesCompleted, totalFiles);
+
+  allResults.sort((a, b) => a.fileIndex - b.fileIndex);
+  timings.sort((a, b) => a.fileIndex - b.fileIndex);
+
+  const summary = {
+    type: 'complete',
+    totalFiles,
+    successfulFiles: allResults.length,
+    failedFiles: allErrors.length,
+    skippedSessions,
+    totals: getResultsSummary(allResults),
+    totalDurationMs: Date.now() - batchStartedAt,
+    timings,
+    results: allResults,
+    errors: allErrors
+  };
+
+  // The stream already carried every result in file-result events
+  const { results, errors, ...completeEvent } = summary;
+  emit(completeEvent);
+  await run.persisted;
+
+  // Uploaded files are no longer needed; the results stay until the job expires
+  await store.update(id, { status: 'complete', summary });
+  await store.deleteFiles(id);
+}
+
+/**
+ * Cancel a job. Pending/processing jobs stop starting new files, drop their uploads and stay
+ * visible as 'cancelled' until they expire; finished jobs are deleted outright.
+ * @returns {Promise<Object|null>} - { id, status } after cancelling, or null if the job doesn't exist
+ */
+async function cancelBatchJob(store, id) {
+  const job = await store.get(id);
+  if (!job) return null;
+
+  if (job.status === 'complete' || job.status === 'failed') {
+    await store.remove(id);
+    return { id, status: 'deleted' };
+  }
+
+  if (job.status === 'cancelled') return { id, status: 'cancelled' };
+
+  const run = runs.get(id);
+  if (run) {
+    run.cancelled = true; // the run logs its own cancelled event once in-flight files finish
+  } else {
+    const logged = await store.getEvents(id);
+    const { filesProcessed, totalFiles } = job.progress;
+    await store.appendEvents(id, [{
+      id: logged.length ? logged[logged.length - 1].id + 1 : 1,
+      event: { type: 'cancelled', batchId: id, filesProcessed, totalFiles }
+    }]);
+    // A run started meanwhile picks this event up instead of processing the files
+    const lateRun = runs.get(id);
+    if (lateRun) lateRun.cancelled = true;
+  }
+  await store.deleteFiles(id);
+  const cancelled = await store.update(id, { status: 'cancelled' });
+  return { id, status: cancelled ? cancelled.status : 'cancelled' };
+}
+
+module.exports = {
+  BATCH_STORAGE_TYPES,
+  BATCH_JOB_STATUSES,
+  createBatchJobStore,
+  getBatchJobStore,
+  FINAL_EVENT_TYPES,
+  getBatchJobRun,
+  startBatchJob,
+  cancelBatchJob
+};
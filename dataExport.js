@@ -0,0 +1,257 @@
+/**
+ * DATA EXPORT
+ *
+ * Flattens analysis output into rows for pandas and spreadsheets:
+ * - bins: one row per bin (kept and excluded, with the exclusion reason)
+ * - gradient-pace, pace-by-gradient, cadence-by-gradient, red-dot: the analysis tables from /api/analyze-with-filters-json
+ *
+ * FORMATS: csv (RFC 4180), excel (CSV with a UTF-8 BOM, CRLF line endings and formula-looking
+ * text cells quoted as text) and jsonl (one JSON object per line, same keys as the CSV header).
+ * UNITS: metric (m, min/km) or imperial (ft, min/mi); the unit is part of each column name.
+ */
+
+const { once } = require('events');
+
+const EXPORT_DATASETS = ['bins', 'gradient-pace', 'pace-by-gradient', 'cadence-by-gradient', 'red-dot'];
+const EXPORT_FORMATS = ['csv', 'excel', 'jsonl'];
+const EXPORT_UNITS = ['metric', 'imperial'];
+const PACE_FORMATS = ['decimal', 'mm:ss'];
+
+const UNIT_SYSTEMS = {
+  metric: { length: 'm', lengthFactor: 1, pace: 'min_per_km', paceFactor: 1 },
+  imperial: { length: 'ft', lengthFactor: 3.28084, pace: 'min_per_mi', paceFactor: 1.609344 }
+};
+
+/**
+ * Normalize user-supplied export options (throws on bad params)
+ */
+function getExportOptions(options = {}) {
+  const format = options.format || 'csv';
+  const units = options.units || 'metric';
+  const paceFormat = options.paceFormat || 'decimal';
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown export format '${format}'. Available: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  if (!EXPORT_UNITS.includes(units)) {
+    throw new Error(`Unknown export units '${units}'. Available: ${EXPORT_UNITS.join(', ')}`);
+  }
+  if (!PACE_FORMATS.includes(paceFormat)) {
+    throw new Error(`Unknown pace format '${paceFormat}'. Available: ${PACE_FORMATS.join(', ')}`);
+  }
+
+  return {
+    format,
+    units,
+    paceFormat,
+    includeExcluded: options.includeExcluded !== false && options.includeExcluded !== 'false'
+  };
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && isFinite(value);
+}
+
+// Converted (imperial) values are rounded so unit conversion doesn't add float noise
+const roundTo = (value, decimals) => Number(value.toFixed(decimals));
+
+function convertLength(meters, exportOptions) {
+  if (!isNumber(meters)) return null;
+  const { lengthFactor } = UNIT_SYSTEMS[exportOptions.units];
+  return lengthFactor === 1 ? meters : roundTo(meters * lengthFactor, 2);
+}
+
+// Pace in min/km → the export's pace unit, as decimal minutes or m:ss
+function convertPace(minPerKm, exportOptions) {
+  if (!isNumber(minPerKm) || minPerKm <= 0) return null;
+  const { paceFactor } = UNIT_SYSTEMS[exportOptions.units];
+  const pace = paceFactor === 1 ? minPerKm : roundTo(minPerKm * paceFactor, 4);
+  if (exportOptions.paceFormat === 'decimal') return pace;
+
+  let minutes = Math.floor(pace);
+  let seconds = Math.round((pace - minutes) * 60);
+  if (seconds === 60) {
+    minutes++;
+    seconds = 0;
+  }
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+function toISOTime(time) {
+  if (!time) return null;
+  const date = new Date(time);
+  return isNaN(date) ? null : date.toISOString();
+}
+
+/**
+ * Column definitions ({name, value(row)}) for a dataset in the chosen units
+ */
+function getExportColumns(dataset, exportOptions) {
+  const { length, pace } = UNIT_SYSTEMS[exportOptions.units];
+  const paceColumn = (name, get) => ({ name: `${name}_${pace}`, value: row => convertPace(get(row), exportOptions) });
+
+  switch (dataset) {
+    case 'bins':
+      return [
+        { name: 'filename', value: ({ result }) => result.filename },
+        { name: 'file_index', value: ({ result, resultIndex }) => result.fileIndex ?? resultIndex },
+        { name: 'bin_index', value: ({ binIndex }) => binIndex },
+        { name: 'start_time', value: ({ bin }) => toISOTime(bin.startTime) },
+        { name: `cumulative_distance_${length}`, value: ({ bin }) => convertLength(bin.cumulativeDistance, exportOptions) },
+        { name: 'cumulative_time_s', value: ({ bin }) => bin.cumulativeTime ?? null },
+        { name: `distance_${length}`, value: ({ bin }) => convertLength(bin.distance, exportOptions) },
+        { name: `elevation_change_${length}`, value: ({ bin }) => convertLength(bin.elevationChange, exportOptions) },
+        { name: 'gradient_pct', value: ({ bin }) => bin.gradient },
+        { name: 'time_s', value: ({ bin }) => bin.timeInSeconds },
+        { name: 'moving_time_s', value: ({ bin }) => bin.movingTime ?? null },
+        paceColumn('pace', ({ bin }) => bin.pace_min_per_km),
+        paceColumn('grade_adjusted_pace', ({ bin }) =>
+          isNumber(bin.pace_min_per_km) && bin.adjustmentFactor > 0 ? bin.pace_min_per_km / bin.adjustmentFactor : null),
+        { name: 'adjustment_factor', value: ({ bin }) => bin.adjustmentFactor },
+        { name: 'avg_hr', value: ({ bin }) => bin.avgHeartRate },
+        { name: 'max_hr', value: ({ bin }) => bin.maxHeartRate },
+        { name: 'min_hr', value: ({ bin }) => bin.minHeartRate },
+        { name: 'avg_cadence_spm', value: ({ bin }) => bin.avgCadence ?? null },
+        { name: `stride_length_${length}`, value: ({ bin }) => convertLength(bin.strideLength, exportOptions) },
+        { name: 'power_w', value: ({ bin }) => bin.avgPower ?? null },
+        { name: 'estimated_power_w', value: ({ bin }) => bin.estimatedPower ?? null },
+        { name: 'excluded', value: ({ bin }) => Boolean(bin.excludeReason) },
+        { name: 'exclude_reason', value: ({ bin }) => bin.excludeReason || null }
+      ];
+    case 'gradient-pace':
+      return [
+        { name: 'gradient_range', value: row => row.label },
+        { name: 'min_gradient_pct', value: row => (isNumber(row.min) ? row.min : null) },
+        { name: 'max_gradient_pct', value: row => (isNumber(row.max) ? row.max : null) },
+        { name: 'bin_count', value: row => row.binCount },
+        { name: 'total_time_s', value: row => row.totalTime },
+        paceColumn('avg_pace', row => row.avgPace),
+        paceColumn('median_pace', row => row.medianPace),
+        { name: 'avg_hr', value: row => row.avgHeartRate },
+        { name: 'median_hr', value: row => row.medianHeartRate }
+      ];
+    case 'pace-by-gradient':
+      return [
+        // Integer gradients are chart keys ('-5'); the open-ended ends stay labels ('<=-35')
+        { name: 'gradient_pct', value: row => (isNaN(Number(row.gradient)) ? row.gradient : Number(row.gradient)) },
+        { name: 'bin_count', value: row => row.binCount },
+        paceColumn('avg_pace', row => row.avgPace)
+      ];
+    case 'cadence-by-gradient':
+      return [
+        { name: 'gradient_pct', value: row => (isNaN(Number(row.gradient)) ? row.gradient : Number(row.gradient)) },
+        { name: 'bin_count', value: row => row.binCount },
+        { name: 'avg_cadence_spm', value: row => row.avgCadence },
+        { name: `avg_stride_length_${length}`, value: row => convertLength(row.avgStrideLength, exportOptions) }
+      ];
+    case 'red-dot':
+      return [
+        { name: 'gradient_pct', value: row => row.gradient },
+        { name: 'bin_count', value: row => row.binCount },
+        paceColumn('pace', row => row.pace),
+        { name: 'adjustment', value: row => row.adjustment },
+        { name: 'stat_type', value: row => row.statType }
+      ];
+    default:
+      throw new Error(`Unknown export dataset '${dataset}'. Available: ${EXPORT_DATASETS.join(', ')}`);
+  }
+}
+
+/**
+ * Source rows for a dataset
+ * @param {string} dataset - One of EXPORT_DATASETS
+ * @param {Object} analysis - { reviewedResults, analyses } from the filtered analysis
+ */
+function* getExportRows(dataset, analysis, exportOptions) {
+  if (dataset === 'bins') {
+    for (const [resultIndex, result] of analysis.reviewedResults.entries()) {
+      for (const [binIndex, bin] of (result.bins || []).entries()) {
+        if (bin.excludeReason && !exportOptions.includeExcluded) continue;
+        yield { result, resultIndex, bin, binIndex };
+      }
+    }
+    return;
+  }
+
+  const { gradientPace, paceByGradientChart, cadenceByGradientChart, redDotData } = analysis.analyses;
+  const tables = {
+    'gradient-pace': gradientPace.buckets,
+    'pace-by-gradient': paceByGradientChart,
+    'cadence-by-gradient': cadenceByGradientChart,
+    'red-dot': redDotData
+  };
+  yield* tables[dataset] || [];
+}
+
+// Text Excel would run as a formula: "=..."/"@...", or +/- followed by a formula operator or call
+// ("+cmd|' /C calc'!A0", "-1+SUM(A1)"); labels like "-5 to 0%" or "-10 to -5%" stay as they are
+function isFormulaText(text) {
+  if (/^[=@\t\r]/.test(text)) return true;
+  return /^[+-]/.test(text) && isNaN(Number(text)) && /[=()!|@+*/^&]/.test(text.slice(1));
+}
+
+// Quote a CSV cell when needed; excel also stops formula-looking text running as a formula
+function formatCSVValue(value, format) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'string') return String(value);
+
+  let text = value;
+  if (format === 'excel' && isFormulaText(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function getExportContentType(format) {
+  return format === 'jsonl' ? 'application/x-ndjson; charset=utf-8' : 'text/csv; charset=utf-8';
+}
+
+function getExportFilename(dataset, format) {
+  return `rungrade-${dataset}.${format === 'jsonl' ? 'jsonl' : 'csv'}`;
+}
+
+/**
+ * Write a dataset to a writable stream (e.g. an Express response), respecting backpressure
+ */
+async function writeExport(stream, dataset, analysis, exportOptions) {
+  const { format } = exportOptions;
+  const columns = getExportColumns(dataset, exportOptions);
+  const newline = format === 'excel' ? '\r\n' : '\n';
+
+  // Wait for drain when the buffer is full; a closed client ends the export early
+  const write = async chunk => {
+    if (!stream.write(chunk)) await Promise.race([once(stream, 'drain'), once(stream, 'close')]);
+  };
+
+  if (format !== 'jsonl') {
+    await write(`${format === 'excel' ? '\uFEFF' : ''}${columns.map(column => column.name).join(',')}${newline}`);
+  }
+
+  for (const row of getExportRows(dataset, analysis, exportOptions)) {
+    if (stream.destroyed) return;
+    const values = columns.map(column => {
+      const value = column.value(row);
+      return value === undefined ? null : value;
+    });
+
+    if (format === 'jsonl') {
+      const record = {};
+      columns.forEach((column, i) => {
+        record[column.name] = values[i];
+      });
+      await write(`${JSON.stringify(record)}\n`);
+    } else {
+      await write(`${values.map(value => formatCSVValue(value, format)).join(',')}${newline}`);
+    }
+  }
+}
+
+module.exports = {
+  EXPORT_DATASETS,
+  EXPORT_FORMATS,
+  EXPORT_UNITS,
+  PACE_FORMATS,
+  getExportOptions,
+  getExportColumns,
+  getExportContentType,
+  getExportFilename,
+  writeExport
+};
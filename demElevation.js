@@ -0,0 +1,279 @@
+/**
+ * OFFLINE DEM ELEVATION CORRECTION
+ *
+ * Replaces or blends device altitude with elevation read from local SRTM .hgt tiles.
+ * Phone GPX files often have bad or missing <ele> values, which otherwise become 0m
+ * and give every bin a 0% gradient.
+ *
+ * TILES: Set DEM_DIRECTORY to a folder of SRTM tiles named like N51W001.hgt.
+ * Both SRTM1 (3601x3601) and SRTM3 (1201x1201) resolutions are detected from file size.
+ * Each tile covers one degree; rows run north → south, big-endian int16, -32768 = void.
+ *
+ * MODES:
+ * - none: Device elevation only (default)
+ * - fill: Use DEM only where the device recorded no elevation
+ * - replace: Use DEM everywhere it is available
+ * - blend: demWeight * DEM + (1 - demWeight) * device
+ *
+ * Points left with neither device nor DEM elevation (any mode) are interpolated by distance
+ * from the nearest points with elevation in the same segment, never binned at 0m.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getSegmentDistance } = require('./gpxBinning');
+
+const CORRECTION_MODES = ['none', 'fill', 'replace', 'blend'];
+const HGT_VOID = -32768;
+
+// tileName → { size, data } or null when the tile is not available
+const tileCache = new Map();
+
+function getDemDirectory() {
+  return process.env.DEM_DIRECTORY || null;
+}
+
+function getTileName(lat, lon) {
+  const latFloor = Math.floor(lat);
+  const lonFloor = Math.floor(lon);
+  const latPrefix = latFloor >= 0 ? 'N' : 'S';
+  const lonPrefix = lonFloor >= 0 ? 'E' : 'W';
+  return `${latPrefix}${String(Math.abs(latFloor)).padStart(2, '0')}${lonPrefix}${String(Math.abs(lonFloor)).padStart(3, '0')}`;
+}
+
+async function loadTile(directory, tileName) {
+  const cacheKey = `${directory}:${tileName}`;
+  if (tileCache.has(cacheKey)) return tileCache.get(cacheKey);
+
+  let tile = null;
+  for (const filename of [`${tileName}.hgt`, `${tileName.toLowerCase()}.hgt`]) {
+    try {
+      const data = await fs.promises.readFile(path.join(directory, filename));
+      const size = Math.sqrt(data.length / 2);
+      if (!Number.isInteger(size)) {
+        console.warn(`⚠️ DEM tile ${filename} has unexpected size ${data.length} bytes - ignoring`);
+        break;
+      }
+      tile = { size, data };
+      break;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Could not read DEM tile ${filename}: ${error.message}`);
+      }
+    }
+  }
+
+  tileCache.set(cacheKey, tile);
+  return tile;
+}
+
+function getTileValue(tile, row, col) {
+  const value = tile.data.readInt16BE((row * tile.size + col) * 2);
+  return value === HGT_VOID ? null : value;
+}
+
+/**
+ * Bilinear interpolation of a tile at lat/lon (null if all four neighbours are void)
+ */
+function interpolateTile(tile, lat, lon) {
+  const last = tile.size - 1;
+  const row = (Math.floor(lat) + 1 - lat) * last;
+  const col = (lon - Math.floor(lon)) * last;
+  const row0 = Math.min(Math.floor(row), last - 1);
+  const col0 = Math.min(Math.floor(col), last - 1);
+  const dy = row - row0;
+  const dx = col - col0;
+
+  const corners = [
+    { value: getTileValue(tile, row0, col0), weight: (1 - dx) * (1 - dy) },
+    { value: getTileValue(tile, row0, col0 + 1), weight: dx * (1 - dy) },
+    { value: getTileValue(tile, row0 + 1, col0), weight: (1 - dx) * dy },
+    { value: getTileValue(tile, row0 + 1, col0 + 1), weight: dx * dy }
+  ].filter(corner => corner.value !== null);
+
+  if (corners.length === 0) return null;
+
+  // Re-normalise weights so a single void corner doesn't drag the result towards 0
+  const totalWeight = corners.reduce((sum, corner) => sum + corner.weight, 0);
+  if (totalWeight === 0) return corners.reduce((sum, corner) => sum + corner.value, 0) / corners.length;
+  return corners.reduce((sum, corner) => sum + corner.value * corner.weight, 0) / totalWeight;
+}
+
+/**
+ * Look up DEM elevation for a single coordinate
+ * @returns {Promise<number|null>} - Elevation in meters, or null if no tile covers the point
+ */
+async function getDemElevation(lat, lon, directory = getDemDirectory()) {
+  if (!directory || typeof lat !== 'number' || typeof lon !== 'number') return null;
+  const tile = await loadTile(directory, getTileName(lat, lon));
+  return tile ? interpolateTile(tile, lat, lon) : null;
+}
+
+/**
+ * Interpolate points without elevation (hasElevation: false) by distance between the nearest
+ * points with elevation in the same segment; points before the first / after the last one take
+ * its value. Segments with no elevation at all are left as they are.
+ * @returns {{points: Array, interpolated: number, unresolved: number}}
+ */
+function interpolateMissingElevation(points) {
+  const result = points.slice();
+  let interpolated = 0;
+  let unresolved = 0;
+
+  let runStart = 0;
+  for (let i = 1; i <= points.length; i++) {
+    if (i < points.length && points[i].segment === points[i - 1].segment) continue;
+
+    // One segment: points[runStart..i-1]
+    const distance = [0];
+    for (let j = runStart + 1; j < i; j++) {
+      distance.push(distance[distance.length - 1] + getSegmentDistance(points[j - 1], points[j]));
+    }
+    const known = [];
+    for (let j = runStart; j < i; j++) {
+      if (points[j].hasElevation !== false) known.push(j);
+    }
+
+    for (let j = runStart; j < i; j++) {
+      if (points[j].hasElevation !== false) continue;
+      if (known.length === 0) {
+        unresolved++;
+        continue;
+      }
+      const next = known.find(k => k > j);
+      const prev = [...known].reverse().find(k => k < j);
+      let ele;
+      if (prev === undefined || next === undefined) {
+        ele = points[prev ?? next].ele;
+      } else {
+        const span = distance[next - runStart] - distance[prev - runStart];
+        const fraction = span > 0
+          ? (distance[j - runStart] - distance[prev - runStart]) / span
+          : (j - prev) / (next - prev);
+        ele = points[prev].ele + (points[next].ele - points[prev].ele) * fraction;
+      }
+      result[j] = { ...points[j], deviceEle: null, ele, hasElevation: true, elevationSource: 'interpolated' };
+      interpolated++;
+    }
+    runStart = i;
+  }
+
+  return { points: result, interpolated, unresolved };
+}
+
+// Interpolate what is still missing and record it on the correction summary
+function finishCorrection(points, correction) {
+  const { points: filled, interpolated, unresolved } = interpolateMissingElevation(points);
+  correction.interpolatedPoints = interpolated;
+  if (interpolated > 0) {
+    correction.warnings.push(`${interpolated} points have neither device nor DEM elevation - interpolated from neighbouring points`);
+  }
+  if (unresolved > 0) {
+    correction.warnings.push(`${unresolved} points are in segments without any elevation - gradients there are 0%`);
+  }
+  return { points: filled, correction };
+}
+
+/**
+ * Normalize user-supplied correction options (throws on unknown mode / bad weight)
+ */
+function getCorrectionOptions(options = {}) {
+  const mode = options.mode || 'none';
+  if (!CORRECTION_MODES.includes(mode)) {
+    throw new Error(`Unknown elevationCorrection '${mode}'. Available: ${CORRECTION_MODES.join(', ')}`);
+  }
+
+  const demWeight = options.demWeight === undefined || options.demWeight === '' ? 0.5 : Number(options.demWeight);
+  if (!isFinite(demWeight) || demWeight < 0 || demWeight > 1) {
+    throw new Error('demWeight must be a number between 0 and 1');
+  }
+
+  return { mode, demWeight };
+}
+
+/**
+ * Correct route point elevation from local DEM tiles
+ * Points must carry hasElevation (false when the device recorded no altitude). Points given a DEM
+ * value get hasElevation: true; the ones still missing afterwards are interpolated (interpolateMissingElevation).
+ * @param {Array} points - Route points ({lat, lon, ele, hasElevation, ...})
+ * @param {Object} [options] - { mode, demWeight }
+ * @returns {Promise<{points: Array, correction: Object}>}
+ */
+async function correctElevation(points, options = {}) {
+  const { mode, demWeight } = getCorrectionOptions(options);
+  const directory = getDemDirectory();
+  const missingDevicePoints = Array.isArray(points) ? points.filter(pt => pt.hasElevation === false).length : 0;
+
+  const correction = {
+    mode,
+    demWeight: mode === 'blend' ? demWeight : null,
+    applied: false,
+    correctedPoints: 0,
+    totalPoints: Array.isArray(points) ? points.length : 0,
+    missingDevicePoints,
+    interpolatedPoints: 0,
+    missingTiles: [],
+    warnings: []
+  };
+
+  if (!Array.isArray(points) || points.length === 0) {
+    return { points, correction };
+  }
+
+  if (mode === 'none') {
+    return finishCorrection(points, correction);
+  }
+
+  if (!directory) {
+    correction.warnings.push('DEM_DIRECTORY is not configured - device elevation kept');
+    return finishCorrection(points, correction);
+  }
+
+  const missingTiles = new Set();
+
+  const corrected = [];
+  for (const pt of points) {
+    const needsDem = mode !== 'fill' || pt.hasElevation === false;
+    const demEle = needsDem ? await getDemElevation(pt.lat, pt.lon, directory) : null;
+
+    if (needsDem && demEle === null) {
+      if (typeof pt.lat === 'number' && typeof pt.lon === 'number') {
+        missingTiles.add(getTileName(pt.lat, pt.lon));
+      }
+      corrected.push(pt);
+      continue;
+    }
+    if (demEle === null) {
+      corrected.push(pt);
+      continue;
+    }
+
+    let ele = demEle;
+    if (mode === 'blend' && pt.hasElevation !== false) {
+      ele = demWeight * demEle + (1 - demWeight) * pt.ele;
+    }
+    correction.correctedPoints++;
+    const deviceEle = pt.hasElevation === false ? null : pt.ele;
+    corrected.push({ ...pt, deviceEle, demEle, ele, hasElevation: true, elevationSource: 'dem' });
+  }
+
+  correction.applied = correction.correctedPoints > 0;
+  correction.missingTiles = [...missingTiles].sort();
+
+  if (correction.missingTiles.length > 0) {
+    correction.warnings.push(
+      `DEM tiles not available in ${directory}: ${correction.missingTiles.map(name => `${name}.hgt`).join(', ')} - device elevation kept for uncovered points`
+    );
+  }
+
+  return finishCorrection(corrected, correction);
+}
+
+module.exports = {
+  CORRECTION_MODES,
+  getTileName,
+  getDemElevation,
+  getCorrectionOptions,
+  interpolateMissingElevation,
+  correctElevation
+};
@@ -0,0 +1,196 @@
+/**
+ * ELEVATION SMOOTHING
+ *
+ * Pre-processing stage that cleans up device altitude before binning.
+ * Barometric jitter and GPS altitude noise turn flat roads into ±15% "hills"
+ * at 50m bin lengths, so every downstream chart benefits from smoothing first.
+ *
+ * METHODS:
+ * - none: Raw device elevation (default, previous behaviour)
+ * - moving-average: Centered moving average over `window` points
+ * - savitzky-golay: Local polynomial fit of order `polyOrder` over `window` points
+ * - kalman: Random-walk Kalman filter + RTS smoother, process noise scaled by distance
+ * - hysteresis: Elevation only changes once it has moved more than `threshold` meters
+ *
+ * Smoothed points keep the original value in `rawEle`.
+ */
+
+const { getSegmentDistance, solveLinearSystem } = require('./gpxBinning');
+
+const SMOOTHING_METHODS = ['none', 'moving-average', 'savitzky-golay', 'kalman', 'hysteresis'];
+
+const DEFAULT_SMOOTHING_OPTIONS = {
+  method: 'none',
+  window: 7, // points (moving-average, savitzky-golay)
+  polyOrder: 2, // savitzky-golay
+  processNoise: 0.02, // m² per meter travelled (kalman)
+  measurementNoise: 4, // m² (kalman)
+  threshold: 2 // meters (hysteresis)
+};
+
+function movingAverage(values, window) {
+  const half = Math.floor(window / 2);
+  return values.map((_, i) => {
+    const from = Math.max(0, i - half);
+    const to = Math.min(values.length - 1, i + half);
+    let sum = 0;
+    for (let j = from; j <= to; j++) sum += values[j];
+    return sum / (to - from + 1);
+  });
+}
+
+function savitzkyGolay(values, window, polyOrder) {
+  const half = Math.floor(window / 2);
+  return values.map((value, i) => {
+    const from = Math.max(0, i - half);
+    const to = Math.min(values.length - 1, i + half);
+    const order = Math.min(polyOrder, to - from); // truncated windows at the edges
+    if (order < 1) return value;
+
+    // Least-squares fit of ele against index offset, evaluated at offset 0
+    const terms = order + 1;
+    const ATA = Array.from({ length: terms }, () => new Array(terms).fill(0));
+    const ATy = new Array(terms).fill(0);
+    for (let j = from; j <= to; j++) {
+      const x = j - i;
+      for (let r = 0; r < terms; r++) {
+        ATy[r] += Math.pow(x, r) * values[j];
+        for (let c = 0; c < terms; c++) {
+          ATA[r][c] += Math.pow(x, r + c);
+        }
+      }
+    }
+    const coeffs = solveLinearSystem(ATA, ATy);
+    return coeffs ? coeffs[0] : value;
+  });
+}
+
+function kalmanSmooth(values, stepDistances, processNoise, measurementNoise) {
+  const n = values.length;
+  const filtered = new Array(n);
+  const filteredVar = new Array(n);
+  const predictedVar = new Array(n);
+
+  filtered[0] = values[0];
+  filteredVar[0] = measurementNoise;
+  predictedVar[0] = measurementNoise;
+
+  // Forward pass
+  for (let i = 1; i < n; i++) {
+    const pPred = filteredVar[i - 1] + processNoise * Math.max(stepDistances[i], 0.1);
+    const gain = pPred / (pPred + measurementNoise);
+    filtered[i] = filtered[i - 1] + gain * (values[i] - filtered[i - 1]);
+    filteredVar[i] = (1 - gain) * pPred;
+    predictedVar[i] = pPred;
+  }
+
+  // Rauch–Tung–Striebel backward pass removes the forward filter's lag
+  const smoothed = [...filtered];
+  for (let i = n - 2; i >= 0; i--) {
+    const c = filteredVar[i] / predictedVar[i + 1];
+    smoothed[i] = filtered[i] + c * (smoothed[i + 1] - filtered[i]);
+  }
+  return smoothed;
+}
+
+function hysteresis(values, threshold) {
+  let level = values[0];
+  return values.map(value => {
+    if (Math.abs(value - level) >= threshold) level = value;
+    return level;
+  });
+}
+
+/**
+ * Normalize user-supplied smoothing options (throws on unknown method / bad params)
+ */
+function getSmoothingOptions(options = {}) {
+  const merged = { ...DEFAULT_SMOOTHING_OPTIONS };
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') merged[key] = value;
+  });
+
+  if (!SMOOTHING_METHODS.includes(merged.method)) {
+    throw new Error(`Unknown smoothing method '${merged.method}'. Available: ${SMOOTHING_METHODS.join(', ')}`);
+  }
+
+  ['window', 'polyOrder', 'processNoise', 'measurementNoise', 'threshold'].forEach(key => {
+    merged[key] = Number(merged[key]);
+    if (!isFinite(merged[key]) || merged[key] < 0) {
+      throw new Error(`Smoothing option '${key}' must be a non-negative number`);
+    }
+  });
+  merged.window = Math.max(1, Math.round(merged.window));
+  merged.polyOrder = Math.round(merged.polyOrder);
+
+  return merged;
+}
+
+// Run one smoothing method over an elevation series; stepDistances[i] is the distance from point i-1 (kalman)
+function smoothSeries(values, stepDistances, smoothing) {
+  switch (smoothing.method) {
+    case 'moving-average':
+      return movingAverage(values, smoothing.window);
+    case 'savitzky-golay':
+      return savitzkyGolay(values, smoothing.window, smoothing.polyOrder);
+    case 'kalman':
+      return kalmanSmooth(values, stepDistances, smoothing.processNoise, smoothing.measurementNoise);
+    case 'hysteresis':
+      return hysteresis(values, smoothing.threshold);
+    default:
+      return values;
+  }
+}
+
+/**
+ * Smooth the elevation series of a set of route points
+ * Each recorded segment is smoothed on its own so no filter window reaches across a gap.
+ * Points without elevation (hasElevation === false) are left out of the series and keep their value.
+ * @param {Array} points - Route points ({lat, lon, ele, hasElevation, segment, ...})
+ * @param {Object} [options] - See DEFAULT_SMOOTHING_OPTIONS
+ * @returns {{points: Array, smoothing: Object}} - New points (original ele in rawEle) and the options used
+ */
+function smoothElevation(points, options = {}) {
+  const smoothing = getSmoothingOptions(options);
+
+  if (!Array.isArray(points) || points.length < 3 || smoothing.method === 'none') {
+    return { points, smoothing };
+  }
+
+  const smoothed = points.map(pt => pt.ele);
+  let runStart = 0;
+  for (let i = 1; i <= points.length; i++) {
+    if (i < points.length && points[i].segment === points[runStart].segment) continue;
+
+    // Indices in this segment with a usable elevation
+    const indices = [];
+    for (let j = runStart; j < i; j++) {
+      if (points[j].hasElevation !== false && typeof points[j].ele === 'number') indices.push(j);
+    }
+    if (indices.length >= 3) {
+      const stepDistances = indices.map((idx, k) => {
+        if (k === 0) return 0;
+        let distance = 0;
+        for (let j = indices[k - 1] + 1; j <= idx; j++) distance += getSegmentDistance(points[j - 1], points[j]);
+        return distance;
+      });
+      const values = smoothSeries(indices.map(idx => points[idx].ele), stepDistances, smoothing);
+      indices.forEach((idx, k) => {
+        smoothed[idx] = values[k];
+      });
+    }
+    runStart = i;
+  }
+
+  return {
+    points: points.map((pt, i) => ({ ...pt, rawEle: pt.ele, ele: smoothed[i] })),
+    smoothing
+  };
+}
+
+module.exports = {
+  SMOOTHING_METHODS,
+  DEFAULT_SMOOTHING_OPTIONS,
+  getSmoothingOptions,
+  smoothElevation
+};
@@ -8,9 +8,14 @@
  * It processes both GPX and FIT file data to create detailed performance analysis.
  * 
  * KEY FUNCTIONS:
- * - getAnalysisBins(): Main function that splits GPS routes into distance-based segments
- * - getBinSummary(): Calculates overall statistics from all bins
- * - Heart Rate Analysis: Calculates avg/max/min HR per bin (backend enhancement)
+ * - getAnalysisBins(): Main function that splits GPS routes into distance, time or grade-segment bins
+ * - getBinSummary(): Calculates overall statistics from all bins (incl. grade adjusted pace,
+ *   equivalent flat distance, elevation loss and HR zones/decoupling/drift from heartRateAnalysis.js);
+ *   getResultsSummary() totals them across files
+ * - Heart Rate Analysis: Calculates avg/max/min HR per bin (backend enhancement);
+ *   getHeartRateCostByGradientBins() is the HR counterpart of the red dot pace curve
+ * - Cadence: avg cadence (steps/min) and stride length per bin; getCadenceByGradientChart() groups them by gradient
+ * - Power: recorded avgPower and estimatedPower (runningPower.js) per bin
  * 
  * MATCHES FRONTEND: Exactly mirrors the binning logic from the main app's GPXGapanalysis.js
  * but adds heart rate analysis capabilities for FIT files.
@@ -18,7 +23,9 @@
  * FLOW: GPS Points → Distance Calculation → Bin Creation → Performance Metrics
  */ 
 
-const { GAP_COEFFICIENTS, calculateGradeAdjustment } = require('./Coefficients');
+const { evaluatePolynomial, resolveGradeAdjustmentModel } = require('./Coefficients');
+const { getHeartRateAnalysis, combineHeartRateAnalyses } = require('./heartRateAnalysis');
+const { getPowerOptions, estimateRunningPower, getPowerSummary } = require('./runningPower');
 
 function formatTime(seconds) {
   if (seconds == null) return '';
@@ -44,204 +51,513 @@ function haversine(lat1, lon1, lat2, lon2) {
 }
 
 /**
- * EXACT COPY of getAnalysisBins from GPXGapanalysis.js
- * With added heart rate analysis for backend
+ * Least-squares slope (m/m) of elevation against cumulative distance for points[startIdx..endIdx]
+ * Points without device elevation (hasElevation: false) are left out; null with fewer than two left.
  */
-function getAnalysisBins(points, binLength = 50, polyCoeffs = null, newAdjustedVelocity = null) {
-  if (!Array.isArray(points) || points.length < 2) return [];
+function getElevationSlope(points, startIdx, endIdx, cumulativeDistance) {
+  let n = 0, sumX = 0, sumY = 0, sumXY = 0, sumXX = 0;
+  for (let j = startIdx; j <= endIdx; j++) {
+    if (points[j].hasElevation === false) continue;
+    const x = cumulativeDistance[j];
+    const y = points[j].ele;
+    n++;
+    sumX += x;
+    sumY += y;
+    sumXY += x * y;
+    sumXX += x * x;
+  }
+  if (n < 2) return null;
+  const denominator = n * sumXX - sumX * sumX;
+  if (Math.abs(denominator) < 1e-9) return null;
+  return (n * sumXY - sumX * sumY) / denominator;
+}
 
-  const bins = [];
-  let lastBinIdx = 0;
-  let cumDist = 0;
+/**
+ * Flat-equivalent seconds of a bin under the GAP model: its moving time / factor
+ */
+function getAdjustedTime(movingTime, adjFactor) {
+  if (!isFinite(adjFactor) || adjFactor <= 0) return 0;
+  return movingTime > 0 ? movingTime / adjFactor : 0;
+}
 
-  for (let i = 1; i < points.length; i++) {
-    const prev = points[i - 1];
-    const curr = points[i];
-    const segDist = haversine(prev.lat, prev.lon, curr.lat, curr.lon);
-
-    cumDist += segDist;
-
-    // When we've reached or exceeded the bin length, create a bin ending at this point
-    if (cumDist >= binLength) {
-      const binStart = points[lastBinIdx];
-      const binEnd = curr;
-      const distance = cumDist;
-      const elevationChange = binEnd.ele - binStart.ele;
-      const gradient = (distance > 0) ? (elevationChange / distance) * 100 : 0;
-
-      // Time-based calculations only if both start and end have valid time
-      let timeTaken = null;
-      let velocity = null;
-      let pace_min_per_km_num = null;
-      let timeInSeconds = 0; // ADD THIS - missing in backend
-      
-      if (binStart.time && binEnd.time) {
-        const seconds = (new Date(binEnd.time) - new Date(binStart.time)) / 1000;
-        if (!isNaN(seconds) && seconds > 0) {
-          timeInSeconds = seconds; // ADD THIS
-          timeTaken = formatTime(seconds);
-          velocity = distance / seconds;
-          pace_min_per_km_num = (velocity > 0) ? (1000 / velocity) / 60 : null;
-        }
-      }
+/**
+ * Seconds a bin takes at a given flat velocity (m/s): its grade adjusted distance / velocity
+ * (null without a velocity)
+ */
+function getTargetTime(gradeAdjustedDistance, newAdjustedVelocity) {
+  if (!(newAdjustedVelocity > 0) || gradeAdjustedDistance === null) return null;
+  return gradeAdjustedDistance / newAdjustedVelocity;
+}
 
-      let adjFactor = 1;
-      if (polyCoeffs && Array.isArray(polyCoeffs) && polyCoeffs.length === 5 && typeof gradient === 'number') {
-        const clampedGradient = Math.max(-35, Math.min(35, gradient));
-        const [a, b, c, d, e] = polyCoeffs;
-        adjFactor =calculateGradeAdjustment(clampedGradient);
-      }
+/**
+ * Build a single bin spanning points[startIdx..endIdx]
+ * Shared by the full-bin and final partial-bin paths so both use the same GAP model.
+ */
+function createBin(points, startIdx, endIdx, distance, context) {
+  const { gapModel, newAdjustedVelocity, gradientMethod, cumulativeDistance, cumulativeSeconds, cadenceMultiplier, power } = context;
+  const binStart = points[startIdx];
+  const binEnd = points[endIdx];
+  let elevationChange = binEnd.ele - binStart.ele;
 
-      let adjustedTime = null;
-      let gradeAdjustedDistance = null;
-      if (
-        newAdjustedVelocity &&
-        newAdjustedVelocity > 0 &&
-        isFinite(adjFactor) &&
-        adjFactor > 0
-      ) {
-        adjustedTime = (distance * adjFactor) / newAdjustedVelocity;
-        gradeAdjustedDistance = distance * adjFactor;
-      }
+  // Regression: least-squares slope of ele vs distance over every point in the bin
+  if (gradientMethod === 'regression' && endIdx - startIdx >= 2) {
+    const slope = getElevationSlope(points, startIdx, endIdx, cumulativeDistance);
+    if (slope !== null) elevationChange = slope * distance;
+  }
+  const gradient = (distance > 0) ? (elevationChange / distance) * 100 : 0;
 
-      // Heart rate calculations (BACKEND ADDITION)
-      let avgHeartRate = null;
-      let maxHeartRate = null;
-      let minHeartRate = null;
-      const heartRates = [];
+  // Time-based calculations only if both start and end have valid time
+  let timeTaken = null;
+  let velocity = null;
+  let pace_min_per_km_num = null;
+  let timeInSeconds = 0;
 
-      // Collect heart rate data from all points in this bin
-      for (let j = lastBinIdx; j <= i; j++) {
-        if (points[j].heartRate && typeof points[j].heartRate === 'number') {
-          heartRates.push(points[j].heartRate);
-        }
-      }
+  let movingTime = 0;
+
+  if (binStart.time && binEnd.time) {
+    const seconds = (new Date(binEnd.time) - new Date(binStart.time)) / 1000;
+    if (!isNaN(seconds) && seconds > 0) {
+      timeInSeconds = seconds;
+      timeTaken = formatTime(seconds);
 
-      if (heartRates.length > 0) {
-        avgHeartRate = Math.round(heartRates.reduce((sum, hr) => sum + hr, 0) / heartRates.length);
-        maxHeartRate = Math.max(...heartRates);
-        minHeartRate = Math.min(...heartRates);
+      // Pace comes from moving time: drop stationary seconds flagged by detectPauses
+      let stoppedSeconds = 0;
+      for (let j = startIdx + 1; j <= endIdx; j++) {
+        stoppedSeconds += points[j].stoppedSeconds || 0;
       }
+      movingTime = Math.max(0, seconds - stoppedSeconds);
 
-      // EXACT bin structure from frontend + heart rate
-      bins.push({
-        distance,
-        elevationChange: Number(elevationChange.toFixed(2)),
-        gradient: Number(gradient.toFixed(2)),
-        timeTaken,
-        timeInSeconds, // ADD THIS - was missing
-        velocity,
-        pace_min_per_km: pace_min_per_km_num,
-        adjustedTime: Number(adjustedTime) || 0,
-        gradeAdjustedDistance,
-        startIdx: lastBinIdx,
-        endIdx: i,
-        startTime: binStart.time || null,
-        endTime: binEnd.time || null,
-        // BACKEND ADDITIONS for heart rate
-        avgHeartRate,
-        maxHeartRate,
-        minHeartRate,
-        heartRateDataPoints: heartRates.length
-      });
+      velocity = movingTime > 0 ? distance / movingTime : null;
+      pace_min_per_km_num = (velocity > 0) ? (1000 / velocity) / 60 : null;
+    }
+  }
 
-      lastBinIdx = i;
-      cumDist = 0;
+  const adjFactor = gapModel.adjust(gradient);
+
+  const adjustedTime = getAdjustedTime(movingTime, adjFactor);
+  const gradeAdjustedDistance = isFinite(adjFactor) && adjFactor > 0 ? distance * adjFactor : null;
+
+  // Heart rate calculations (BACKEND ADDITION)
+  let avgHeartRate = null;
+  let maxHeartRate = null;
+  let minHeartRate = null;
+  const heartRates = [];
+
+  // Collect heart rate data from all points in this bin
+  for (let j = startIdx; j <= endIdx; j++) {
+    if (points[j].heartRate && typeof points[j].heartRate === 'number') {
+      heartRates.push(points[j].heartRate);
     }
   }
 
-  // Add a final partial bin if any distance remains - EXACT COPY from frontend
-  if (lastBinIdx < points.length - 1 && cumDist > 0) {
-    const binStart = points[lastBinIdx];
-    const binEnd = points[points.length - 1];
-    const distance = cumDist;
-    const elevationChange = binEnd.ele - binStart.ele;
-    const gradient = (distance > 0) ? (elevationChange / distance) * 100 : 0;
+  if (heartRates.length > 0) {
+    avgHeartRate = Math.round(heartRates.reduce((sum, hr) => sum + hr, 0) / heartRates.length);
+    maxHeartRate = Math.max(...heartRates);
+    minHeartRate = Math.min(...heartRates);
+  }
 
-    let timeTaken = null;
-    let velocity = null;
-    let pace_min_per_km_num = null;
-    let timeInSeconds = 0; // ADD THIS
-    
-    if (binStart.time && binEnd.time) {
-      const seconds = (new Date(binEnd.time) - new Date(binStart.time)) / 1000;
-      if (!isNaN(seconds) && seconds > 0) {
-        timeInSeconds = seconds; // ADD THIS
-        timeTaken = formatTime(seconds);
-        velocity = distance / seconds;
-        pace_min_per_km_num = (velocity > 0) ? (1000 / velocity) / 60 : null;
-      }
+  // Cadence in steps/min (zero cadence while stopped is ignored); stride length is meters per step
+  const cadences = [];
+  for (let j = startIdx; j <= endIdx; j++) {
+    const cadence = getPointCadence(points[j]);
+    if (cadence > 0) cadences.push(cadence * cadenceMultiplier);
+  }
+  const avgCadence = cadences.length > 0
+    ? Number((cadences.reduce((sum, cadence) => sum + cadence, 0) / cadences.length).toFixed(1))
+    : null;
+  const strideLength = avgCadence && movingTime > 0 && distance > 0
+    ? Number((distance / (avgCadence * movingTime / 60)).toFixed(3))
+    : null;
+
+  // Native power (power meter / watch) next to the speed + gradient estimate
+  const powers = [];
+  for (let j = startIdx; j <= endIdx; j++) {
+    if (typeof points[j].power === 'number') powers.push(points[j].power);
+  }
+  const avgPower = powers.length > 0 ? Math.round(powers.reduce((sum, watts) => sum + watts, 0) / powers.length) : null;
+  const estimatedPower = estimateRunningPower(velocity, gradient, power);
+
+  // EXACT bin structure from frontend + heart rate
+  return {
+    distance,
+    elevationChange: Number(elevationChange.toFixed(2)),
+    gradient: Number(gradient.toFixed(2)),
+    timeTaken,
+    timeInSeconds,
+    movingTime,
+    velocity,
+    pace_min_per_km: pace_min_per_km_num,
+    adjustmentFactor: isFinite(adjFactor) ? Number(adjFactor.toFixed(4)) : null,
+    adjustedTime: Number(adjustedTime) || 0, // flat-equivalent seconds
+    gradeAdjustedDistance, // flat-equivalent meters
+    targetTime: getTargetTime(gradeAdjustedDistance, newAdjustedVelocity), // seconds at newAdjustedVelocity
+    startIdx,
+    endIdx,
+    startTime: binStart.time || null,
+    endTime: binEnd.time || null,
+    // Distance (m) and elapsed time (s) from the start of the route to the start of this bin
+    cumulativeDistance: Number(cumulativeDistance[startIdx].toFixed(1)),
+    cumulativeTime: Number(cumulativeSeconds[startIdx].toFixed(1)),
+    // BACKEND ADDITIONS for heart rate
+    avgHeartRate,
+    maxHeartRate,
+    minHeartRate,
+    heartRateDataPoints: heartRates.length,
+    avgCadence, // steps/min
+    strideLength, // meters per step
+    avgPower, // W (recorded)
+    estimatedPower: estimatedPower !== null ? Math.round(estimatedPower) : null, // W
+    estimatedPowerPerKg: estimatedPower !== null ? Number((estimatedPower / power.mass).toFixed(2)) : null
+  };
+}
+
+function getPointCadence(point) {
+  return typeof point.cadence === 'number' ? point.cadence + (point.fractionalCadence || 0) : null;
+}
+
+/**
+ * FIT, TCX RunCadence and gpxtpx:cad record running cadence per leg (strides/min), so it is
+ * doubled to steps/min - unless the route's median is already above any per-leg running
+ * cadence (> 120), i.e. the file stores steps/min.
+ */
+function getCadenceMultiplier(points) {
+  const cadences = points.map(getPointCadence).filter(cadence => cadence > 0).sort((a, b) => a - b);
+  if (cadences.length === 0) return 2;
+  return cadences[Math.floor(cadences.length / 2)] > 120 ? 1 : 2;
+}
+
+// Tolerance (m or s) for treating an interpolated boundary as exactly reached
+const BOUNDARY_EPSILON = 1e-6;
+
+const BIN_MODES = ['distance', 'time', 'grade-segments'];
+
+// Where segment distances come from:
+// - auto: GPS (haversine), device distance where either point has no position (default)
+// - gps: GPS only - points without a position are dropped before binning
+// - device: recorded cumulative distance (footpod / watch), GPS where it is missing
+const DISTANCE_SOURCES = ['auto', 'gps', 'device'];
+
+function hasPosition(point) {
+  return typeof point.lat === 'number' && typeof point.lon === 'number';
+}
+
+/**
+ * Distance (m) between two consecutive route points (segment increment for distance bins)
+ * Device distance is the FIT/TCX cumulative `distance` field, so indoor and tunnel
+ * stretches without GPS still cover ground.
+ */
+function getSegmentDistance(prev, curr, distanceSource = 'auto') {
+  const hasDeviceDistance = typeof prev.distance === 'number' && typeof curr.distance === 'number';
+  if (distanceSource === 'device' && hasDeviceDistance) {
+    return Math.max(0, curr.distance - prev.distance);
+  }
+  if (hasPosition(prev) && hasPosition(curr)) {
+    return haversine(prev.lat, prev.lon, curr.lat, curr.lon);
+  }
+  return hasDeviceDistance && distanceSource !== 'gps' ? Math.max(0, curr.distance - prev.distance) : 0;
+}
+
+function segmentSeconds(prev, curr) {
+  if (!prev.time || !curr.time) return 0;
+  const seconds = (new Date(curr.time) - new Date(prev.time)) / 1000;
+  return isNaN(seconds) || seconds < 0 ? 0 : seconds;
+}
+
+/**
+ * Interpolate a point a fraction of the way from prev to curr
+ * Numeric fields (ele, heartRate, cadence, speed...) and time are linear; anything else comes from the nearer point.
+ */
+function interpolatePoint(prev, curr, fraction) {
+  const point = {};
+  new Set([...Object.keys(prev), ...Object.keys(curr)]).forEach(key => {
+    if (SEGMENT_FIELDS.includes(key)) return;
+    const a = prev[key];
+    const b = curr[key];
+    if (typeof a === 'number' && typeof b === 'number') {
+      point[key] = a + (b - a) * fraction;
+    } else if (a instanceof Date && b instanceof Date) {
+      point[key] = new Date(a.getTime() + (b.getTime() - a.getTime()) * fraction);
+    } else {
+      point[key] = fraction < 0.5 ? a : b;
     }
+  });
+  return point;
+}
+
+// Per-segment quantities stored on the segment's end point; split (not interpolated) at boundaries
+const SEGMENT_FIELDS = ['stoppedSeconds', 'timerPausedSeconds'];
+
+function splitSegmentFields(segmentEnd, share) {
+  const fields = {};
+  SEGMENT_FIELDS.forEach(key => {
+    if (typeof segmentEnd[key] === 'number') fields[key] = segmentEnd[key] * share;
+  });
+  return fields;
+}
+
+/**
+ * Insert interpolated points at every exact multiple of step along the route
+ * measure(prev, curr) gives the segment increment (meters for distance bins, seconds for time bins).
+ * Each returned point carries sourceIdx (index of the original point at or before it)
+ * and interpolated: true for inserted boundary points.
+ */
+function insertBinBoundaryPoints(points, step, measure = getSegmentDistance) {
+  const result = [{ ...points[0], sourceIdx: 0, interpolated: false }];
+  let cumulative = 0;
+  let nextBoundary = step;
+
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1];
+    const curr = points[i];
 
-    let adjFactor = 1;
-    if (polyCoeffs && Array.isArray(polyCoeffs) && polyCoeffs.length === 5 && typeof gradient === 'number') {
-      const clampedGradient = Math.max(-35, Math.min(35, gradient));
-      const [a, b, c, d, e] = polyCoeffs;
-      adjFactor =
-        a * Math.pow(clampedGradient, 4) +
-        b * Math.pow(clampedGradient, 3) +
-        c * Math.pow(clampedGradient, 2) +
-        d * clampedGradient +
-        e;
+    // Each recorded segment starts its own run of boundaries
+    if (prev.segment !== curr.segment) {
+      cumulative = 0;
+      nextBoundary = step;
+      result.push({ ...curr, sourceIdx: i, interpolated: false });
+      continue;
     }
 
-    let adjustedTime = null;
-    let gradeAdjustedDistance = null;
-    if (
-      newAdjustedVelocity &&
-      newAdjustedVelocity > 0 &&
-      isFinite(adjFactor) &&
-      adjFactor > 0
-    ) {
-      adjustedTime = (distance * adjFactor) / newAdjustedVelocity;
-      gradeAdjustedDistance = distance * adjFactor;
+    const increment = measure(prev, curr);
+
+    let lastFraction = 0;
+    while (increment > 0 && cumulative + increment > nextBoundary + BOUNDARY_EPSILON) {
+      const fraction = (nextBoundary - cumulative) / increment;
+      result.push({
+        ...interpolatePoint(prev, curr, fraction),
+        ...splitSegmentFields(curr, fraction - lastFraction),
+        sourceIdx: i - 1,
+        interpolated: true
+      });
+      lastFraction = fraction;
+      nextBoundary += step;
     }
 
-    // Heart rate for final bin
-    let avgHeartRate = null;
-    let maxHeartRate = null;
-    let minHeartRate = null;
-    const heartRates = [];
+    cumulative += increment;
+    if (cumulative >= nextBoundary - BOUNDARY_EPSILON) nextBoundary += step;
+    result.push({ ...curr, ...splitSegmentFields(curr, 1 - lastFraction), sourceIdx: i, interpolated: false });
+  }
 
-    for (let j = lastBinIdx; j < points.length; j++) {
-      if (points[j].heartRate && typeof points[j].heartRate === 'number') {
-        heartRates.push(points[j].heartRate);
-      }
+  return result;
+}
+
+/**
+ * Index ranges [start, end] of consecutive points sharing the same segment id
+ * (points without a segment id form a single run)
+ */
+function getSegmentRuns(points) {
+  const runs = [];
+  let runStart = 0;
+  for (let i = 1; i <= points.length; i++) {
+    if (i === points.length || points[i].segment !== points[i - 1].segment) {
+      runs.push([runStart, i - 1]);
+      runStart = i;
     }
+  }
+  return runs;
+}
+
+/**
+ * Fixed-step bin ranges: close a bin on the first point where the accumulated
+ * measure (distance or time) reaches step, plus a final partial bin.
+ */
+function getFixedStepRanges(cumulative, step) {
+  const ranges = [];
+  let lastBinIdx = 0;
+
+  for (let i = 1; i < cumulative.length; i++) {
+    if (cumulative[i] - cumulative[lastBinIdx] >= step) {
+      ranges.push([lastBinIdx, i]);
+      lastBinIdx = i;
+    }
+  }
+
+  // Add a final partial bin if anything remains
+  const lastIdx = cumulative.length - 1;
+  if (lastBinIdx < lastIdx && cumulative[lastIdx] - cumulative[lastBinIdx] > 0) {
+    ranges.push([lastBinIdx, lastIdx]);
+  }
+
+  return ranges;
+}
+
+/**
+ * Cumulative distance (m) at each point; the jump across a segment gap counts as zero
+ */
+function getCumulativeDistance(points, distanceSource = 'auto') {
+  const cumulativeDistance = [0];
+  for (let i = 1; i < points.length; i++) {
+    const gap = points[i - 1].segment !== points[i].segment;
+    cumulativeDistance.push(cumulativeDistance[i - 1] + (gap ? 0 : getSegmentDistance(points[i - 1], points[i], distanceSource)));
+  }
+  return cumulativeDistance;
+}
+
+/**
+ * Local gradient (%) at each point, measured between the points halfWindow meters either side
+ */
+function getLocalGradients(points, cumulativeDistance, halfWindow) {
+  const gradients = new Array(points.length).fill(0);
+  let lo = 0;
+  let hi = 0;
+
+  for (let i = 0; i < points.length; i++) {
+    while (cumulativeDistance[lo] < cumulativeDistance[i] - halfWindow) lo++;
+    while (hi < points.length - 1 && cumulativeDistance[hi + 1] <= cumulativeDistance[i] + halfWindow) hi++;
+    const run = cumulativeDistance[hi] - cumulativeDistance[lo];
+    gradients[i] = run > 0 ? ((points[hi].ele - points[lo].ele) / run) * 100 : 0;
+  }
+
+  return gradients;
+}
+
+/**
+ * Variable-length bin ranges that split where the smoothed gradient departs from the
+ * current segment's average gradient by more than gradeThreshold (%).
+ * Segments are at least minLength meters (except the last), so a steady climb stays one bin.
+ */
+function getGradeSegmentRanges(points, cumulativeDistance, minLength, gradeThreshold) {
+  const localGradients = getLocalGradients(points, cumulativeDistance, minLength / 2);
+  const ranges = [];
+  let segmentStart = 0;
+
+  for (let i = 1; i < points.length; i++) {
+    const length = cumulativeDistance[i] - cumulativeDistance[segmentStart];
+    if (length < minLength) continue;
+
+    const segmentGradient = ((points[i].ele - points[segmentStart].ele) / length) * 100;
+    if (Math.abs(localGradients[i] - segmentGradient) > gradeThreshold) {
+      ranges.push([segmentStart, i]);
+      segmentStart = i;
+    }
+  }
 
-    if (heartRates.length > 0) {
-      avgHeartRate = Math.round(heartRates.reduce((sum, hr) => sum + hr, 0) / heartRates.length);
-      maxHeartRate = Math.max(...heartRates);
-      minHeartRate = Math.min(...heartRates);
+  const lastIdx = points.length - 1;
+  if (segmentStart < lastIdx && cumulativeDistance[lastIdx] - cumulativeDistance[segmentStart] > 0) {
+    ranges.push([segmentStart, lastIdx]);
+  }
+
+  return ranges;
+}
+
+/**
+ * Based on getAnalysisBins from GPXGapanalysis.js
+ * With added heart rate analysis for backend
+ * @param {Array} routePoints - Route points ({lat, lon, ele, time, heartRate})
+ * @param {number} binLength - Bin length in meters (minimum segment length for grade-segments)
+ * @param {string|number[]|Object} [gapModel] - GAP model name, resolved model, or legacy polyCoeffs array
+ * @param {number} [newAdjustedVelocity] - Flat velocity (m/s) for each bin's targetTime
+ * @param {Object} [options]
+ * @param {string} [options.binMode] - 'distance' (default), 'time' or 'grade-segments'
+ * @param {number} [options.binDuration] - Bin duration in seconds for time mode (default 30)
+ * @param {number} [options.gradeThreshold] - Gradient change (%) that starts a new grade segment (default 3)
+ * @param {string} [options.gradientMethod] - 'endpoints' (default) or 'regression'
+ * @param {string} [options.binBoundary] - 'overshoot' (default: close on the first point past the step)
+ *   or 'interpolate' (every distance/time bin except the last is exactly one step)
+ * @param {string} [options.distanceSource] - 'auto' (default), 'gps' or 'device' - see DISTANCE_SOURCES
+ */
+function getAnalysisBins(routePoints, binLength = 50, gapModel = null, newAdjustedVelocity = null, options = {}) {
+  if (!Array.isArray(routePoints) || routePoints.length < 2) return [];
+
+  const {
+    binMode = 'distance',
+    binDuration = 30,
+    gradeThreshold = 3,
+    gradientMethod = 'endpoints',
+    binBoundary = 'overshoot',
+    distanceSource = 'auto'
+  } = options;
+
+  const timeBins = binMode === 'time';
+  const step = timeBins ? binDuration : binLength;
+  const distanceBetween = (prev, curr) => getSegmentDistance(prev, curr, distanceSource);
+  const measure = timeBins ? segmentSeconds : distanceBetween;
+  const interpolate = binBoundary === 'interpolate' && binMode !== 'grade-segments';
+  const points = interpolate ? insertBinBoundaryPoints(routePoints, step, measure) : routePoints;
+
+  // Cumulative distance/time along the route; the jump across a segment gap counts as zero
+  const cumulativeDistance = [0];
+  const cumulativeSeconds = [0];
+  for (let i = 1; i < points.length; i++) {
+    const gap = points[i - 1].segment !== points[i].segment;
+    cumulativeDistance.push(cumulativeDistance[i - 1] + (gap ? 0 : distanceBetween(points[i - 1], points[i])));
+    cumulativeSeconds.push(cumulativeSeconds[i - 1] + (gap ? 0 : segmentSeconds(points[i - 1], points[i])));
+  }
+
+  // Bin each recorded segment separately so no bin straddles a gap
+  const ranges = [];
+  getSegmentRuns(points).forEach(([runStart, runEnd]) => {
+    const runPoints = points.slice(runStart, runEnd + 1);
+    const runDistance = cumulativeDistance.slice(runStart, runEnd + 1);
+    let runRanges;
+    if (binMode === 'grade-segments') {
+      runRanges = getGradeSegmentRanges(runPoints, runDistance, binLength, gradeThreshold);
+    } else {
+      const closeAt = interpolate ? step - BOUNDARY_EPSILON : step;
+      runRanges = getFixedStepRanges(timeBins ? cumulativeSeconds.slice(runStart, runEnd + 1) : runDistance, closeAt);
     }
+    runRanges.forEach(([startIdx, endIdx]) => ranges.push([startIdx + runStart, endIdx + runStart]));
+  });
+
+  const context = {
+    gapModel: resolveGradeAdjustmentModel(gapModel),
+    newAdjustedVelocity,
+    gradientMethod,
+    cumulativeDistance,
+    cumulativeSeconds,
+    cadenceMultiplier: getCadenceMultiplier(points),
+    power: getPowerOptions(options.power)
+  };
+  const bins = ranges.map(([startIdx, endIdx]) =>
+    createBin(points, startIdx, endIdx, cumulativeDistance[endIdx] - cumulativeDistance[startIdx], context)
+  );
 
-    bins.push({
-      distance,
-      elevationChange: Number(elevationChange.toFixed(2)),
-      gradient: Number(gradient.toFixed(2)),
-      timeTaken,
-      timeInSeconds, // ADD THIS
-      velocity,
-      pace_min_per_km: pace_min_per_km_num,
-      adjustedTime: Number(adjustedTime) || 0,
-      gradeAdjustedDistance,
-      startIdx: lastBinIdx,
-      endIdx: points.length - 1,
-      startTime: binStart.time || null,
-      endTime: binEnd.time || null,
-      // Heart rate additions
-      avgHeartRate,
-      maxHeartRate,
-      minHeartRate,
-      heartRateDataPoints: heartRates.length
+  if (interpolate) {
+    // Report indices into the original route: the original points enclosing each bin
+    bins.forEach(bin => {
+      const start = points[bin.startIdx];
+      const end = points[bin.endIdx];
+      bin.startIdx = start.sourceIdx;
+      bin.endIdx = end.interpolated ? end.sourceIdx + 1 : end.sourceIdx;
     });
   }
 
   return bins;
 }
 
+/**
+ * Re-apply a GAP model to bins that were created earlier (e.g. results posted back by the client)
+ */
+function applyGradeAdjustmentModel(allResults, gapModel = null, newAdjustedVelocity = null) {
+  const model = resolveGradeAdjustmentModel(gapModel);
+  return allResults.map(result => {
+    if (!result.bins || !Array.isArray(result.bins)) return result;
+    const bins = result.bins.map(bin => {
+      if (typeof bin.gradient !== 'number' || typeof bin.distance !== 'number') return bin;
+      const adjFactor = model.adjust(bin.gradient);
+      const gradeAdjustedDistance = isFinite(adjFactor) && adjFactor > 0 ? bin.distance * adjFactor : null;
+      return {
+        ...bin,
+        adjustmentFactor: isFinite(adjFactor) ? Number(adjFactor.toFixed(4)) : null,
+        adjustedTime: getAdjustedTime(getBinMovingTime(bin), adjFactor),
+        gradeAdjustedDistance,
+        targetTime: getTargetTime(gradeAdjustedDistance, newAdjustedVelocity)
+      };
+    });
+    return { ...result, bins };
+  });
+}
+
+
+// Moving time for pace calculations (falls back to elapsed time for bins created before pause detection)
+function getBinMovingTime(bin) {
+  return typeof bin.movingTime === 'number' ? bin.movingTime : (bin.timeInSeconds || 0);
+}
+
 // Keep the summary function the same
-function getBinSummary(bins) {
+// options.heartRate: zone settings for the heart rate analysis (see heartRateAnalysis.js)
+// options.power: runner mass for the W/kg of the power summary (see runningPower.js)
+function getBinSummary(bins, options = {}) {
   if (!bins || bins.length === 0) return null;
 
   const validBins = bins.filter(bin => 
@@ -253,7 +569,14 @@ function getBinSummary(bins) {
 
   const totalDistance = validBins.reduce((sum, bin) => sum + bin.distance, 0);
   const totalTime = validBins.reduce((sum, bin) => sum + (bin.timeInSeconds || 0), 0);
+  const totalMovingTime = validBins.reduce((sum, bin) => sum + getBinMovingTime(bin), 0);
   const totalElevation = validBins.reduce((sum, bin) => sum + Math.max(0, bin.elevationChange), 0);
+  const totalElevationLoss = validBins.reduce((sum, bin) => sum + Math.max(0, -bin.elevationChange), 0);
+  // Flat distance that would take the same effort: each bin's distance scaled by its GAP factor
+  const equivalentFlatDistance = validBins.reduce(
+    (sum, bin) => sum + bin.distance * (isFinite(bin.adjustmentFactor) && bin.adjustmentFactor > 0 ? bin.adjustmentFactor : 1),
+    0
+  );
 
   const binsWithHR = validBins.filter(bin => bin.avgHeartRate);
   const avgHeartRate = binsWithHR.length > 0 ? 
@@ -265,13 +588,156 @@ function getBinSummary(bins) {
     totalBins: bins.length,
     validBins: validBins.length,
     totalDistance: Number((totalDistance / 1000).toFixed(2)), // km
-    totalTime: totalTime, // seconds
+    totalTime: totalTime, // seconds (elapsed)
+    totalMovingTime: Math.round(totalMovingTime), // seconds
     totalElevation: Math.round(totalElevation), // meters
-    avgPace: totalDistance > 0 && totalTime > 0 ? (totalTime / 60) / (totalDistance / 1000) : null, // min/km
+    totalElevationLoss: Math.round(totalElevationLoss), // meters
+    avgPace: totalDistance > 0 && totalMovingTime > 0 ? (totalMovingTime / 60) / (totalDistance / 1000) : null, // min/km (moving)
+    equivalentFlatDistance: Number((equivalentFlatDistance / 1000).toFixed(2)), // km
+    gradeAdjustedPace: equivalentFlatDistance > 0 && totalMovingTime > 0
+      ? (totalMovingTime / 60) / (equivalentFlatDistance / 1000)
+      : null, // min/km (moving)
     avgHeartRate,
     maxHeartRate,
-    heartRateDataCoverage: binsWithHR.length / validBins.length // percentage as decimal
+    heartRateDataCoverage: binsWithHR.length / validBins.length, // percentage as decimal
+    heartRate: getHeartRateAnalysis(validBins, options.heartRate), // time in zones, decoupling, cardiac drift
+    power: getPowerSummary(validBins, options.power) // estimated and recorded avg / normalised power
+  };
+}
+
+/**
+ * Totals across files (batch / multi-file summaries): elevation from each result's own
+ * elevationGain/elevationLoss, everything else from its binSummary
+ * @param {Array} allResults - Results from /api/analyze-with-bins
+ * @returns {Object} - distance and equivalentFlatDistance (km), movingTime (s), elevation gain/loss (m),
+ *   avgPace and gradeAdjustedPace (min/km, moving), heartRate (zone times, mean decoupling and drift)
+ */
+function getResultsSummary(allResults) {
+  const results = (allResults || []).filter(result => result.binSummary);
+  const summaries = results.map(result => result.binSummary);
+  const sum = key => summaries.reduce((total, summary) => total + (summary[key] || 0), 0);
+
+  const distance = sum('totalDistance');
+  const movingTime = sum('totalMovingTime');
+  const equivalentFlatDistance = sum('equivalentFlatDistance');
+
+  return {
+    fileCount: summaries.length,
+    distance: Number(distance.toFixed(2)),
+    movingTime,
+    elevationGain: results.reduce((total, result) => total + (result.elevationGain || 0), 0),
+    elevationLoss: results.reduce((total, result) => total + (result.elevationLoss || 0), 0),
+    equivalentFlatDistance: Number(equivalentFlatDistance.toFixed(2)),
+    avgPace: distance > 0 && movingTime > 0 ? (movingTime / 60) / distance : null,
+    gradeAdjustedPace: equivalentFlatDistance > 0 && movingTime > 0 ? (movingTime / 60) / equivalentFlatDistance : null,
+    heartRate: combineHeartRateAnalyses(summaries.map(summary => summary.heartRate))
+  };
+}
+
+/**
+ * Attach pace and grade adjusted pace to device laps (FIT/TCX splits)
+ * Bins are assigned to the lap containing their midpoint time; the lap's GAP is its
+ * device pace divided by the distance-weighted adjustment factor of those bins.
+ * @param {Array} laps - Laps ({startTime, endTime, totalTime, distance (km), ...})
+ * @param {Array} bins - Bins from getAnalysisBins
+ * @returns {Array} - Laps with pace, gradeAdjustedPace (min/km), adjustmentFactor and binCount
+ */
+function getLapSplits(laps, bins) {
+  if (!Array.isArray(laps)) return [];
+
+  return laps.map(lap => {
+    const lapStart = lap.startTime ? new Date(lap.startTime).getTime() : null;
+    const lapEnd = lap.endTime ? new Date(lap.endTime).getTime() : null;
+
+    const lapBins = (bins || []).filter(bin => {
+      if (lapStart === null || lapEnd === null || !bin.startTime || !bin.endTime) return false;
+      const midpoint = (new Date(bin.startTime).getTime() + new Date(bin.endTime).getTime()) / 2;
+      return midpoint >= lapStart && midpoint < lapEnd && bin.distance > 0 && isFinite(bin.adjustmentFactor);
+    });
+
+    const binDistance = lapBins.reduce((sum, bin) => sum + bin.distance, 0);
+    const adjustmentFactor = binDistance > 0
+      ? lapBins.reduce((sum, bin) => sum + bin.distance * bin.adjustmentFactor, 0) / binDistance
+      : null;
+
+    const pace = lap.distance > 0 && lap.totalTime > 0 ? (lap.totalTime / 60) / lap.distance : null;
+    const gradeAdjustedPace = pace !== null && adjustmentFactor > 0 ? pace / adjustmentFactor : null;
+
+    return {
+      ...lap,
+      pace, // min/km (timer time)
+      gradeAdjustedPace, // min/km
+      adjustmentFactor: adjustmentFactor !== null ? Number(adjustmentFactor.toFixed(4)) : null,
+      binCount: lapBins.length
+    };
+  });
+}
+
+/**
+ * Apply the reliability and heart rate filters used by /api/analyze-with-filters-json
+ * @param {Array} allResults - Results with bins
+ * @param {Object} [options] - { removeUnreliableBins, heartRateFilter: { minHR, maxHR } }
+ * @returns {{filteredResults: Array, reviewedResults: Array, exclusionCounts: Object}}
+ *   reviewedResults keeps every bin with its excludeReason (null when kept)
+ */
+function filterResultBins(allResults, options = {}) {
+  const { removeUnreliableBins, heartRateFilter } = options;
+
+  // Track exclusion reasons
+  const exclusionCounts = {
+    speed: 0,
+    gradient: 0,
+    timeInSeconds: 0,
+    distance: 0,
+    heartRate: 0,
+    total: 0
   };
+
+  const reviewedResults = allResults.map(run => {
+    const bins = (run.bins || []).map(bin => {
+      let excludeReason = null;
+      if (removeUnreliableBins) {
+        const speed =
+          typeof bin.avgSpeed === 'number'
+            ? bin.avgSpeed // FIT files: km/h
+            : (typeof bin.velocity === 'number' ? bin.velocity * 3.6 : 0); // GPX files: m/s to km/h
+
+        if (!(speed >= 1 && speed <= 30)) {
+          exclusionCounts.speed++;
+          excludeReason = 'speed';
+        } else if (!(bin.gradient <= 30 && bin.gradient >= -30)) {
+          exclusionCounts.gradient++;
+          excludeReason = 'gradient';
+        } else if (!(bin.timeInSeconds >= 1)) {
+          exclusionCounts.timeInSeconds++;
+          excludeReason = 'timeInSeconds';
+        } else if (!(bin.distance > 0)) {
+          exclusionCounts.distance++;
+          excludeReason = 'distance';
+        }
+      }
+      if (heartRateFilter && (heartRateFilter.minHR || heartRateFilter.maxHR)) {
+        if (bin.avgHeartRate == null ||
+            (heartRateFilter.minHR && bin.avgHeartRate < heartRateFilter.minHR) ||
+            (heartRateFilter.maxHR && bin.avgHeartRate > heartRateFilter.maxHR)) {
+          exclusionCounts.heartRate++;
+          excludeReason = 'heartRate';
+        }
+      }
+      if (excludeReason) exclusionCounts.total++;
+      return { ...bin, excludeReason };
+    });
+    return { ...run, bins };
+  });
+
+  const filteredResults = reviewedResults.map(run => ({
+    ...run,
+    bins: run.bins
+      .filter(bin => !bin.excludeReason)
+      .map(({ excludeReason, ...bin }) => bin)
+  }));
+
+  return { filteredResults, reviewedResults, exclusionCounts };
 }
 
 /**
@@ -401,8 +867,16 @@ function getGradientPaceAnalysis(allResults) {
   };
 }
 
+// Sort order of integer gradient keys, with the open-ended '<=-35' / '>=35' buckets at the ends
+function getGradientKeyOrder(gradient) {
+  if (gradient === '<=-35') return -Infinity;
+  if (gradient === '>=35') return Infinity;
+  return parseInt(gradient);
+}
+
 /**
- * Groups bins by nearest integer gradient and calculates average pace for each gradient.
+ * Groups bins by nearest integer gradient and calculates average (distance/time) and median
+ * (of the bins' paces) pace for each gradient.
  */
 function getPaceByGradientChart(allResults) {
   // Collect all bins
@@ -421,18 +895,19 @@ function getPaceByGradientChart(allResults) {
       typeof bin.distance === 'number' &&
       typeof bin.timeInSeconds === 'number' &&
       bin.distance > 0 &&
-      bin.timeInSeconds > 0
+      getBinMovingTime(bin) > 0
     ) {
      let grad = Math.round(bin.gradient);
 if (grad <= -35) grad = '<=-35';
 else if (grad >= 35) grad = '>=35';
 const key = grad.toString();
       if (!gradientMap[key]) {
-        gradientMap[key] = { totalDistance: 0, totalTime: 0, binCount: 0 };
+        gradientMap[key] = { totalDistance: 0, totalTime: 0, binCount: 0, paces: [] };
       }
       gradientMap[key].totalDistance += bin.distance;
-      gradientMap[key].totalTime += bin.timeInSeconds;
+      gradientMap[key].totalTime += getBinMovingTime(bin);
       gradientMap[key].binCount++;
+      gradientMap[key].paces.push((getBinMovingTime(bin) / 60) / (bin.distance / 1000));
     }
   });
 
@@ -442,30 +917,170 @@ const key = grad.toString();
       const paceMinPerKm = (data.totalTime / 60) / (data.totalDistance / 1000);
       const minutes = Math.floor(paceMinPerKm);
       const seconds = Math.round((paceMinPerKm - minutes) * 60);
+      const medianPace = getStatValue(data.paces, 'median');
       return {
         gradient,
         binCount: data.binCount,
         avgPace: paceMinPerKm,
-        paceLabel: `${minutes}:${seconds.toString().padStart(2, '0')}`
+        paceLabel: `${minutes}:${seconds.toString().padStart(2, '0')}`,
+        medianPace,
+        medianPaceLabel: `${Math.floor(medianPace)}:${Math.round((medianPace % 1) * 60).toString().padStart(2, '0')}`
       };
     })
-    .sort((a, b) => {
-      // Custom sort: <-35, -35..-1, 0, 1..35, >35
-      if (a.gradient === '<-35') return -1;
-      if (b.gradient === '<-35') return 1;
-      if (a.gradient === '>35') return 1;
-      if (b.gradient === '>35') return -1;
-      return parseInt(a.gradient) - parseInt(b.gradient);
-    });
+    .sort((a, b) => getGradientKeyOrder(a.gradient) - getGradientKeyOrder(b.gradient));
 
   return gradientChart;
 }
 
+/**
+ * Groups bins by nearest integer gradient (like getPaceByGradientChart) and calculates
+ * moving-time weighted cadence (steps/min) and stride length (m per step) for each gradient,
+ * showing how the stride shortens uphill and lengthens downhill.
+ */
+function getCadenceByGradientChart(allResults) {
+  const gradientMap = {};
+  allResults.forEach(result => {
+    (result.bins || []).forEach(bin => {
+      const movingTime = getBinMovingTime(bin);
+      if (typeof bin.gradient !== 'number' || !(bin.avgCadence > 0) || !(bin.distance > 0) || !(movingTime > 0)) return;
+
+      let grad = Math.round(bin.gradient);
+      if (grad <= -35) grad = '<=-35';
+      else if (grad >= 35) grad = '>=35';
+      const key = grad.toString();
+      if (!gradientMap[key]) {
+        gradientMap[key] = { totalDistance: 0, totalTime: 0, totalSteps: 0, binCount: 0 };
+      }
+      gradientMap[key].totalDistance += bin.distance;
+      gradientMap[key].totalTime += movingTime;
+      gradientMap[key].totalSteps += bin.avgCadence * movingTime / 60;
+      gradientMap[key].binCount++;
+    });
+  });
+
+  return Object.entries(gradientMap)
+    .map(([gradient, data]) => ({
+      gradient,
+      binCount: data.binCount,
+      avgCadence: Number((data.totalSteps / (data.totalTime / 60)).toFixed(1)), // steps/min
+      avgStrideLength: Number((data.totalDistance / data.totalSteps).toFixed(3)) // meters per step
+    }))
+    .sort((a, b) => getGradientKeyOrder(a.gradient) - getGradientKeyOrder(b.gradient));
+}
+
+// Mean or median of a list of numbers (statType semantics of the red dot analysis)
+function getStatValue(values, statType) {
+  if (values.length === 0) return null;
+  if (statType === 'median') {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+  }
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+const FATIGUE_STRATA_MODES = ['distance', 'time'];
+
+/**
+ * Normalize fatigue stratification options (throws on bad params)
+ * @returns {Object|null} - { by: 'distance' | 'time', strata } or null when not requested
+ */
+function getFatigueOptions(options = {}) {
+  const by = options.by || null;
+  if (by === null || by === 'none') return null;
+  if (!FATIGUE_STRATA_MODES.includes(by)) {
+    throw new Error(`Unknown fatigue stratification '${by}'. Available: none, ${FATIGUE_STRATA_MODES.join(', ')}`);
+  }
+
+  const strata = options.strata === undefined || options.strata === '' ? 3 : Number(options.strata);
+  if (!Number.isInteger(strata) || strata < 2 || strata > 10) {
+    throw new Error('fatigue strata must be a whole number between 2 and 10');
+  }
+  return { by, strata };
+}
+
+/**
+ * Adjustment curves per fatigue stratum
+ * Bins are split into quantiles of their cumulative distance or elapsed time (pooled over all
+ * results); each stratum gets its own pace-by-gradient curve. The decay coefficient is the
+ * least-squares slope of ln(grade adjusted pace) against cumulative distance (per 10 km) or time (per hour).
+ * @param {Array} allBins - Bins with cumulativeDistance / cumulativeTime
+ * @param {number} basePace - Base pace (min/km) of the whole analysis
+ * @param {Object} fatigue - From getFatigueOptions
+ */
+function getFatigueStrata(allBins, basePace, fatigue) {
+  const field = fatigue.by === 'distance' ? 'cumulativeDistance' : 'cumulativeTime';
+  const unitSize = fatigue.by === 'distance' ? 10000 : 3600;
+  const bins = allBins.filter(bin => typeof bin[field] === 'number' && bin.pace_min_per_km > 0);
+  if (bins.length === 0) {
+    return { by: fatigue.by, error: `No bins with ${field}; re-run /api/analyze-with-bins`, strata: [], fatigueDecay: null };
+  }
+
+  // Quantile boundaries; the last stratum includes its upper bound
+  const sorted = bins.map(bin => bin[field]).sort((a, b) => a - b);
+  const bounds = [];
+  for (let i = 0; i <= fatigue.strata; i++) {
+    bounds.push(sorted[Math.min(sorted.length - 1, Math.floor((i / fatigue.strata) * sorted.length))]);
+  }
+  bounds[fatigue.strata] = sorted[sorted.length - 1];
+
+  const strata = [];
+  for (let i = 0; i < fatigue.strata; i++) {
+    const last = i === fatigue.strata - 1;
+    const stratumBins = bins.filter(bin =>
+      bin[field] >= bounds[i] && (last ? bin[field] <= bounds[i + 1] : bin[field] < bounds[i + 1])
+    );
+
+    const flatPaces = stratumBins.filter(bin => bin.gradient >= -2 && bin.gradient <= 2).map(bin => bin.pace_min_per_km);
+    const stratumBasePace = getStatValue(flatPaces, 'median');
+
+    strata.push({
+      stratum: i + 1,
+      from: bounds[i], // m or s
+      to: bounds[i + 1],
+      binCount: stratumBins.length,
+      basePace: stratumBasePace,
+      adjustmentData: getPaceByGradientChart([{ bins: stratumBins }]).map(item => ({
+        gradient: item.gradient,
+        gradientValue: parseFloat(item.gradient),
+        avgPace: item.avgPace,
+        binCount: item.binCount,
+        // vs the whole analysis' base pace (includes the general slowdown) and vs this stratum's flat pace
+        adjustment: basePace > 0 ? parseFloat((item.avgPace / basePace).toFixed(4)) : null,
+        stratumAdjustment: stratumBasePace > 0 ? parseFloat((item.avgPace / stratumBasePace).toFixed(4)) : null
+      }))
+    });
+  }
+
+  const samples = bins
+    .filter(bin => isFinite(bin.adjustmentFactor) && bin.adjustmentFactor > 0)
+    .map(bin => ({ x: bin[field] / unitSize, y: Math.log(bin.pace_min_per_km / bin.adjustmentFactor) }));
+  let fatigueDecay = null;
+  if (samples.length >= 3) {
+    const meanX = samples.reduce((sum, p) => sum + p.x, 0) / samples.length;
+    const meanY = samples.reduce((sum, p) => sum + p.y, 0) / samples.length;
+    const variance = samples.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+    if (variance > 0) {
+      const coefficient = samples.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0) / variance;
+      fatigueDecay = {
+        coefficient: Number(coefficient.toFixed(5)), // d ln(GAP) per unit
+        unit: fatigue.by === 'distance' ? 'per 10 km' : 'per hour',
+        percentPerUnit: Number(((Math.exp(coefficient) - 1) * 100).toFixed(2)), // GAP slowdown
+        sampleCount: samples.length
+      };
+    }
+  }
+
+  return { by: fatigue.by, strata, fatigueDecay };
+}
+
 /**
  * Calculate personal grade adjustment factors compared to literature values
  * Shows how much each gradient impacts pace relative to flat (0%) terrain
+ * options.fatigue (getFatigueOptions) adds `fatigue`: one curve per cumulative distance/time stratum
  */
-function getGradeAdjustmentAnalysis(allResults, basePaceOption = 'near-zero') {
+function getGradeAdjustmentAnalysis(allResults, basePaceOption = 'near-zero', gapModel = null, options = {}) {
+  const model = resolveGradeAdjustmentModel(gapModel);
   const gradientData = getPaceByGradientChart(allResults);
   const gradientPaceAnalysis = getGradientPaceAnalysis(allResults);
 
@@ -486,7 +1101,7 @@ function getGradeAdjustmentAnalysis(allResults, basePaceOption = 'near-zero') {
     if (nearZeroBins.length > 0) {
       // Calculate mean
       const totalDistance = nearZeroBins.reduce((sum, bin) => sum + bin.distance, 0);
-      const totalTime = nearZeroBins.reduce((sum, bin) => sum + (bin.timeInSeconds || 0), 0);
+      const totalTime = nearZeroBins.reduce((sum, bin) => sum + getBinMovingTime(bin), 0);
       const avgPace = (totalDistance > 0 && totalTime > 0)
         ? (totalTime / 60) / (totalDistance / 1000)
         : null;
@@ -518,7 +1133,7 @@ function getGradeAdjustmentAnalysis(allResults, basePaceOption = 'near-zero') {
       }
     });
     const totalDistance = allBins.reduce((sum, bin) => sum + bin.distance, 0); // meters
-    const totalTime = allBins.reduce((sum, bin) => sum + (bin.timeInSeconds || 0), 0); // seconds
+    const totalTime = allBins.reduce((sum, bin) => sum + getBinMovingTime(bin), 0); // seconds (moving)
     const avgPace = (totalDistance > 0 && totalTime > 0)
       ? (totalTime / 60) / (totalDistance / 1000) // min/km
       : null;
@@ -535,11 +1150,11 @@ function getGradeAdjustmentAnalysis(allResults, basePaceOption = 'near-zero') {
 
   const adjustmentData = gradientData.map(item => {
     const gradientValue = parseFloat(item.gradient.replace('%', ''));
-    const literatureAdjustment = calculateGradeAdjustment(gradientValue);
+    const literatureAdjustment = model.adjust(gradientValue);
     
     // Calculate adjustment factors
     const meanAdjustmentFactor = basePace > 0 ? item.avgPace / basePace : 1;
-    const medianAdjustmentFactor = basePaceMedian > 0 ? item.avgPace / basePaceMedian : 1;
+    const medianAdjustmentFactor = basePaceMedian > 0 ? item.medianPace / basePaceMedian : 1;
     
     return {
       gradient: item.gradient,
@@ -548,10 +1163,10 @@ function getGradeAdjustmentAnalysis(allResults, basePaceOption = 'near-zero') {
       personalAdjustment: parseFloat(meanAdjustmentFactor.toFixed(4)),
       avgPace: item.avgPace,
       paceLabel: item.paceLabel,
-      // Median data (new) - for now using same values, will be different when proper median calculation is implemented
+      // Median data: median bin pace at this gradient vs the median base pace
       personalAdjustmentMedian: parseFloat(medianAdjustmentFactor.toFixed(4)),
-      medianPace: item.avgPace, // TODO: Calculate actual median pace per gradient
-      medianPaceLabel: item.paceLabel, // TODO: Format median pace label
+      medianPace: item.medianPace,
+      medianPaceLabel: item.medianPaceLabel,
       // Common data
       literatureAdjustment: parseFloat(literatureAdjustment.toFixed(4)),
       binCount: item.binCount
@@ -565,7 +1180,12 @@ function getGradeAdjustmentAnalysis(allResults, basePaceOption = 'near-zero') {
     basePaceLabel: basePace ? `${Math.floor(basePace)}:${Math.round((basePace % 1) * 60).toString().padStart(2, '0')}` : 'N/A',
     basePaceMedianLabel: basePaceMedian ? `${Math.floor(basePaceMedian)}:${Math.round((basePaceMedian % 1) * 60).toString().padStart(2, '0')}` : 'N/A',
     basePaceMethod,
-    basePaceBinStats
+    basePaceBinStats,
+    literatureModel: model.name,
+    literatureModelLabel: model.label,
+    ...(options.fatigue && {
+      fatigue: getFatigueStrata(allResults.flatMap(result => result.bins || []), basePace, options.fatigue)
+    })
   };
 }
 
@@ -629,16 +1249,273 @@ function getAdjustmentByGradientBins(allResults, basePace, statType = 'mean') {
   return points;
 }
 
+/**
+ * Heart rate cost of each integer gradient (±0.5% bins, like getAdjustmentByGradientBins)
+ * On steep climbs runners hike at whatever pace and the effort shows up in HR instead, so
+ * alongside pace this reports the heart beats spent per metre, normalised to flat (-2% to 2%) bins.
+ * - heartRateCost: beats per metre / flat beats per metre
+ * - paceAdjustment: pace / basePace (same as the red dots)
+ * - combinedAdjustment: geometric mean of the two, so a slow but easy hike and a fast but
+ *   hard climb both move towards the effort they actually cost
+ * statType: 'mean' or 'median' (applied to pace, HR and beats per metre)
+ */
+function getHeartRateCostByGradientBins(allResults, basePace, statType = 'mean') {
+  const allBins = [];
+  allResults.forEach(result => {
+    if (result.bins && Array.isArray(result.bins)) {
+      allBins.push(...result.bins);
+    }
+  });
+
+  // Bins with gradient, pace and heart rate; beats per metre from HR over the bin's moving time
+  const validBins = allBins
+    .filter(bin =>
+      typeof bin.gradient === 'number' &&
+      typeof bin.pace_min_per_km === 'number' &&
+      bin.pace_min_per_km > 0 &&
+      typeof bin.avgHeartRate === 'number' &&
+      bin.avgHeartRate > 0 &&
+      bin.distance > 0 &&
+      getBinMovingTime(bin) > 0
+    )
+    .map(bin => ({ bin, beatsPerMetre: (bin.avgHeartRate * getBinMovingTime(bin) / 60) / bin.distance }));
+
+  const flatBins = validBins.filter(({ bin }) => bin.gradient >= -2 && bin.gradient <= 2);
+  const flatHeartRate = getStatValue(flatBins.map(({ bin }) => bin.avgHeartRate), statType);
+  const flatBeatsPerMetre = getStatValue(flatBins.map(({ beatsPerMetre }) => beatsPerMetre), statType);
+
+  const points = [];
+  for (let g = -30; g <= 30; g++) {
+    const binsInRange = validBins.filter(({ bin }) => bin.gradient >= g - 0.5 && bin.gradient < g + 0.5);
+    if (binsInRange.length === 0) continue;
+
+    const heartRates = binsInRange.map(({ bin }) => bin.avgHeartRate);
+    const pace = getStatValue(binsInRange.map(({ bin }) => bin.pace_min_per_km), statType);
+    const beatsPerMetre = getStatValue(binsInRange.map(item => item.beatsPerMetre), statType);
+
+    const paceAdjustment = basePace > 0 ? pace / basePace : 1;
+    const heartRateCost = flatBeatsPerMetre > 0 ? beatsPerMetre / flatBeatsPerMetre : null;
+
+    points.push({
+      gradient: g,
+      binCount: binsInRange.length,
+      heartRate: getStatValue(heartRates, statType),
+      medianHeartRate: getStatValue(heartRates, 'median'),
+      pace,
+      beatsPerMetre,
+      heartRateCost,
+      paceAdjustment,
+      combinedAdjustment: heartRateCost !== null ? Math.sqrt(paceAdjustment * heartRateCost) : paceAdjustment,
+      statType
+    });
+  }
+
+  return {
+    statType,
+    flatHeartRate,
+    flatBeatsPerMetre,
+    flatBinCount: flatBins.length,
+    points
+  };
+}
+
+/**
+ * Solve a small dense linear system A·x = b (Gaussian elimination, partial pivoting)
+ * Returns null if the system is singular.
+ */
+function solveLinearSystem(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+    }
+    if (Math.abs(M[pivot][col]) < 1e-12) return null;
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = M[row][col] / M[col][col];
+      for (let k = col; k <= n; k++) {
+        M[row][k] -= factor * M[col][k];
+      }
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = M[row][n];
+    for (let k = row + 1; k < n; k++) sum -= M[row][k] * x[k];
+    x[row] = sum / M[row][row];
+  }
+  return x;
+}
+
+/**
+ * Fit a personal grade adjustment polynomial to all bins
+ * Each bin contributes (gradient → pace / basePace), weighted by bin distance.
+ * Coefficients are returned highest power first, matching GAP_COEFFICIENTS (a..e),
+ * so a degree-4 fit can be used anywhere the Strava quartic is.
+ */
+function fitGradeAdjustmentModel(allResults, degree = 2, basePaceOption = 'near-zero', gapModel = null) {
+  const model = resolveGradeAdjustmentModel(gapModel);
+  const { basePace, basePaceLabel, basePaceMethod } = getGradeAdjustmentAnalysis(allResults, basePaceOption, model);
+
+  if (!(basePace > 0)) {
+    return { error: 'Could not determine a base pace from the provided bins' };
+  }
+
+  // Collect all bins
+  const allBins = [];
+  allResults.forEach(result => {
+    if (result.bins && Array.isArray(result.bins)) {
+      allBins.push(...result.bins);
+    }
+  });
+
+  const samples = allBins
+    .filter(bin =>
+      typeof bin.gradient === 'number' &&
+      typeof bin.pace_min_per_km === 'number' &&
+      typeof bin.distance === 'number' &&
+      bin.pace_min_per_km > 0 &&
+      bin.distance > 0 &&
+      bin.gradient >= -35 &&
+      bin.gradient <= 35
+    )
+    .map(bin => ({
+      x: bin.gradient,
+      y: bin.pace_min_per_km / basePace,
+      w: bin.distance
+    }));
+
+  const termCount = degree + 1;
+  if (samples.length < termCount) {
+    return { error: `Need at least ${termCount} valid bins to fit a degree ${degree} polynomial` };
+  }
+
+  // Scale gradients to [-1, 1] to keep the normal equations well conditioned
+  const scale = 35;
+  const ATA = Array.from({ length: termCount }, () => new Array(termCount).fill(0));
+  const ATy = new Array(termCount).fill(0);
+
+  samples.forEach(({ x, y, w }) => {
+    const u = x / scale;
+    const powers = [];
+    for (let k = 0; k < termCount; k++) powers.push(Math.pow(u, k));
+    for (let r = 0; r < termCount; r++) {
+      ATy[r] += w * powers[r] * y;
+      for (let c = 0; c < termCount; c++) {
+        ATA[r][c] += w * powers[r] * powers[c];
+      }
+    }
+  });
+
+  const scaledCoeffs = solveLinearSystem(ATA, ATy);
+  if (!scaledCoeffs) {
+    return { error: 'Fit is underdetermined - bins do not cover enough distinct gradients' };
+  }
+
+  // Undo the scaling and flip to highest power first
+  const coefficients = scaledCoeffs
+    .map((coeff, k) => coeff / Math.pow(scale, k))
+    .reverse();
+
+  // Weighted R²
+  const totalWeight = samples.reduce((sum, s) => sum + s.w, 0);
+  const meanY = samples.reduce((sum, s) => sum + s.w * s.y, 0) / totalWeight;
+  let ssRes = 0;
+  let ssTot = 0;
+  samples.forEach(({ x, y, w }) => {
+    const fitted = evaluatePolynomial(coefficients, x);
+    ssRes += w * (y - fitted) ** 2;
+    ssTot += w * (y - meanY) ** 2;
+  });
+  const rSquared = ssTot > 0 ? 1 - ssRes / ssTot : null;
+
+  // Residuals per integer gradient (distance-weighted observed ratio vs fitted)
+  const gradientMap = {};
+  samples.forEach(({ x, y, w }) => {
+    const key = Math.round(x);
+    if (!gradientMap[key]) {
+      gradientMap[key] = { weightedRatio: 0, totalDistance: 0, binCount: 0 };
+    }
+    gradientMap[key].weightedRatio += w * y;
+    gradientMap[key].totalDistance += w;
+    gradientMap[key].binCount++;
+  });
+
+  const residuals = Object.entries(gradientMap)
+    .map(([gradient, data]) => {
+      const gradientValue = parseInt(gradient);
+      const observed = data.weightedRatio / data.totalDistance;
+      const fitted = evaluatePolynomial(coefficients, gradientValue);
+      return {
+        gradient: gradientValue,
+        binCount: data.binCount,
+        totalDistance: data.totalDistance,
+        observedAdjustment: parseFloat(observed.toFixed(4)),
+        fittedAdjustment: parseFloat(fitted.toFixed(4)),
+        residual: parseFloat((observed - fitted).toFixed(4))
+      };
+    })
+    .sort((a, b) => a.gradient - b.gradient);
+
+  // Fitted curve over the observed gradient range, alongside the literature curve
+  const minGradient = Math.ceil(Math.min(...samples.map(s => s.x)));
+  const maxGradient = Math.floor(Math.max(...samples.map(s => s.x)));
+  const fittedCurve = [];
+  for (let g = minGradient; g <= maxGradient; g++) {
+    fittedCurve.push({
+      gradient: g,
+      fittedAdjustment: parseFloat(evaluatePolynomial(coefficients, g).toFixed(4)),
+      literatureAdjustment: parseFloat(model.adjust(g).toFixed(4))
+    });
+  }
+
+  return {
+    degree,
+    coefficients,
+    rSquared: rSquared === null ? null : parseFloat(rSquared.toFixed(4)),
+    sampleCount: samples.length,
+    totalDistance: totalWeight,
+    basePace,
+    basePaceLabel,
+    basePaceMethod,
+    residuals,
+    fittedCurve,
+    literatureModel: model.name
+  };
+}
+
 // Add to module.exports:
 module.exports = {
+  BIN_MODES,
+  DISTANCE_SOURCES,
+  FATIGUE_STRATA_MODES,
+  hasPosition,
   getAnalysisBins,
   getBinSummary,
+  getResultsSummary,
+  getLapSplits,
+  filterResultBins,
   getGradientPaceAnalysis,
   getPaceByGradientChart,
+  getCadenceByGradientChart,
   getGradeAdjustmentAnalysis, // Add this export
+  getFatigueOptions,
   haversine,
+  getSegmentDistance,
+  getCumulativeDistance,
+  getLocalGradients,
   formatTime,
-  getAdjustmentByGradientBins // Add this export
+  getBinMovingTime,
+  solveLinearSystem,
+  getAdjustmentByGradientBins, // Add this export
+  getHeartRateCostByGradientBins,
+  fitGradeAdjustmentModel,
+  applyGradeAdjustmentModel
 };
 
 
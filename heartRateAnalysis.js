@@ -0,0 +1,271 @@
+/**
+ * HEART RATE ANALYSIS
+ *
+ * Per-run heart rate analysis built on the bins (getBinSummary includes it):
+ * - Time in zones: each bin's moving time goes to the zone of its avgHeartRate.
+ *   Zones are percentages of a reference heart rate:
+ *   max (% of max HR), lthr (% of lactate threshold HR) or hrr (% of heart rate reserve, Karvonen).
+ * - Aerobic decoupling (Pa:HR): efficiency factor (grade adjusted speed / HR) of the first half of
+ *   the moving time vs the second half. Under 5% is the usual "aerobic" mark for long runs.
+ *   Grade adjusted speed comes from each bin's GAP factor, so a hilly second half doesn't look like drift.
+ * - Cardiac drift: time-weighted linear trend of bin HR over moving time (bpm and % per hour).
+ */
+
+const HR_ZONE_METHODS = ['max', 'lthr', 'hrr'];
+
+// Upper bounds (%) of zones 1..4; zone 5 is everything above the last bound
+const DEFAULT_ZONE_BOUNDS = {
+  max: [60, 70, 80, 90],
+  lthr: [85, 90, 95, 100],
+  hrr: [60, 70, 80, 90]
+};
+
+const AEROBIC_DECOUPLING_LIMIT = 5; // percent
+
+const DEFAULT_HEART_RATE_OPTIONS = {
+  zoneMethod: 'max',
+  maxHR: null,
+  restingHR: null,
+  lthr: null,
+  zones: null // custom upper bounds (%), ascending
+};
+
+/**
+ * Normalize user-supplied heart rate options (throws on bad params)
+ * zones may be an array or a comma-separated string of percentages.
+ */
+function getHeartRateOptions(options = {}) {
+  const merged = { ...DEFAULT_HEART_RATE_OPTIONS };
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') merged[key] = value;
+  });
+
+  if (!HR_ZONE_METHODS.includes(merged.zoneMethod)) {
+    throw new Error(`Unknown HR zone method '${merged.zoneMethod}'. Available: ${HR_ZONE_METHODS.join(', ')}`);
+  }
+
+  ['maxHR', 'restingHR', 'lthr'].forEach(key => {
+    if (merged[key] === null) return;
+    merged[key] = Number(merged[key]);
+    if (!(merged[key] > 0)) throw new Error(`Heart rate option '${key}' must be a positive number of bpm`);
+  });
+  if (merged.maxHR !== null && merged.restingHR !== null && merged.restingHR >= merged.maxHR) {
+    throw new Error('restingHR must be below maxHR');
+  }
+
+  let zones = merged.zones;
+  if (typeof zones === 'string') zones = zones.split(',').map(Number);
+  if (zones !== null) {
+    if (!Array.isArray(zones) || zones.length === 0 || zones.some((bound, i) => !(bound > 0) || (i > 0 && bound <= zones[i - 1]))) {
+      throw new Error('HR zones must be ascending positive percentages, e.g. 60,70,80,90');
+    }
+  }
+  merged.zones = zones || DEFAULT_ZONE_BOUNDS[merged.zoneMethod];
+
+  return merged;
+}
+
+// Bpm for a percentage of the reference heart rate, or null when the reference is missing
+function getZoneHeartRate(percent, options) {
+  const { zoneMethod, maxHR, restingHR, lthr } = options;
+  if (zoneMethod === 'max') return maxHR ? (percent / 100) * maxHR : null;
+  if (zoneMethod === 'lthr') return lthr ? (percent / 100) * lthr : null;
+  return maxHR && restingHR ? restingHR + (percent / 100) * (maxHR - restingHR) : null;
+}
+
+// Same fallback as gpxBinning's getBinMovingTime (gpxBinning requires this module)
+function getBinSeconds(bin) {
+  return typeof bin.movingTime === 'number' ? bin.movingTime : (bin.timeInSeconds || 0);
+}
+
+function hasHeartRate(bin) {
+  return typeof bin.avgHeartRate === 'number' && bin.avgHeartRate > 0 && getBinSeconds(bin) > 0;
+}
+
+/**
+ * Moving time per heart rate zone
+ * @returns {Array|null} - [{zone, minPercent, maxPercent, minHR, maxHR, seconds, percent}] or null
+ *   when the reference heart rate for the zone method wasn't given
+ */
+function getTimeInZones(bins, options) {
+  const bounds = options.zones.map(percent => getZoneHeartRate(percent, options));
+  if (bounds.some(bound => bound === null)) return null;
+
+  const zones = [...bounds, null].map((upper, i) => ({
+    zone: i + 1,
+    minPercent: i === 0 ? null : options.zones[i - 1],
+    maxPercent: upper === null ? null : options.zones[i],
+    minHR: i === 0 ? null : Math.round(bounds[i - 1]),
+    maxHR: upper === null ? null : Math.round(upper),
+    seconds: 0,
+    percent: 0
+  }));
+
+  let totalSeconds = 0;
+  bins.filter(hasHeartRate).forEach(bin => {
+    const zoneIdx = bounds.findIndex(bound => bin.avgHeartRate < bound);
+    const seconds = getBinSeconds(bin);
+    zones[zoneIdx === -1 ? zones.length - 1 : zoneIdx].seconds += seconds;
+    totalSeconds += seconds;
+  });
+
+  zones.forEach(zone => {
+    zone.percent = totalSeconds > 0 ? Number(((zone.seconds / totalSeconds) * 100).toFixed(1)) : 0;
+    zone.seconds = Math.round(zone.seconds);
+  });
+  return zones;
+}
+
+// Grade adjusted speed (m/s), time-weighted HR and efficiency factor of a group of bins
+function getHalfEfficiency(bins) {
+  const seconds = bins.reduce((sum, bin) => sum + getBinSeconds(bin), 0);
+  const flatDistance = bins.reduce(
+    (sum, bin) => sum + (bin.distance || 0) * (isFinite(bin.adjustmentFactor) && bin.adjustmentFactor > 0 ? bin.adjustmentFactor : 1),
+    0
+  );
+  const avgHeartRate = bins.reduce((sum, bin) => sum + bin.avgHeartRate * getBinSeconds(bin), 0) / seconds;
+  const gradeAdjustedSpeed = flatDistance / seconds;
+
+  return {
+    binCount: bins.length,
+    movingTime: Math.round(seconds),
+    avgHeartRate: Number(avgHeartRate.toFixed(1)),
+    gradeAdjustedPace: gradeAdjustedSpeed > 0 ? (1000 / gradeAdjustedSpeed) / 60 : null, // min/km
+    efficiencyFactor: gradeAdjustedSpeed > 0 ? (gradeAdjustedSpeed * 60) / avgHeartRate : null // m/min per bpm
+  };
+}
+
+/**
+ * Pa:HR decoupling between the first and second half of the moving time
+ * @returns {Object|null} - { firstHalf, secondHalf, decouplingPercent, aerobic } or null without enough HR bins
+ */
+function getAerobicDecoupling(bins) {
+  const hrBins = bins.filter(bin => hasHeartRate(bin) && bin.distance > 0);
+  const totalSeconds = hrBins.reduce((sum, bin) => sum + getBinSeconds(bin), 0);
+
+  // A bin belongs to the half holding its midpoint
+  const firstHalf = [];
+  const secondHalf = [];
+  let elapsed = 0;
+  hrBins.forEach(bin => {
+    const seconds = getBinSeconds(bin);
+    (elapsed + seconds / 2 <= totalSeconds / 2 ? firstHalf : secondHalf).push(bin);
+    elapsed += seconds;
+  });
+  if (firstHalf.length < 2 || secondHalf.length < 2) return null;
+
+  const first = getHalfEfficiency(firstHalf);
+  const second = getHalfEfficiency(secondHalf);
+  if (!(first.efficiencyFactor > 0) || second.efficiencyFactor === null) return null;
+
+  const decouplingPercent = ((first.efficiencyFactor - second.efficiencyFactor) / first.efficiencyFactor) * 100;
+  return {
+    firstHalf: first,
+    secondHalf: second,
+    decouplingPercent: Number(decouplingPercent.toFixed(2)),
+    aerobic: decouplingPercent < AEROBIC_DECOUPLING_LIMIT
+  };
+}
+
+/**
+ * Cardiac drift: time-weighted least-squares slope of bin HR against moving time
+ * @returns {Object|null} - { bpmPerHour, percentPerHour, startHeartRate } or null with fewer than 3 HR bins
+ */
+function getCardiacDrift(bins) {
+  const samples = [];
+  let elapsed = 0;
+  bins.forEach(bin => {
+    const seconds = getBinSeconds(bin);
+    if (hasHeartRate(bin)) samples.push({ t: (elapsed + seconds / 2) / 3600, hr: bin.avgHeartRate, w: seconds });
+    elapsed += seconds;
+  });
+  if (samples.length < 3) return null;
+
+  const weight = samples.reduce((sum, s) => sum + s.w, 0);
+  const meanT = samples.reduce((sum, s) => sum + s.w * s.t, 0) / weight;
+  const meanHR = samples.reduce((sum, s) => sum + s.w * s.hr, 0) / weight;
+  const covariance = samples.reduce((sum, s) => sum + s.w * (s.t - meanT) * (s.hr - meanHR), 0);
+  const variance = samples.reduce((sum, s) => sum + s.w * (s.t - meanT) ** 2, 0);
+  if (!(variance > 0)) return null;
+
+  const bpmPerHour = covariance / variance;
+  const startHeartRate = meanHR - bpmPerHour * meanT;
+  return {
+    bpmPerHour: Number(bpmPerHour.toFixed(2)),
+    percentPerHour: startHeartRate > 0 ? Number(((bpmPerHour / startHeartRate) * 100).toFixed(2)) : null,
+    startHeartRate: Number(startHeartRate.toFixed(1))
+  };
+}
+
+/**
+ * Heart rate analysis for one run's bins
+ * @param {Array} bins - Bins from getAnalysisBins
+ * @param {Object} [options] - See DEFAULT_HEART_RATE_OPTIONS
+ * @returns {Object|null} - null when no bin has heart rate
+ */
+function getHeartRateAnalysis(bins, options = {}) {
+  if (!Array.isArray(bins) || !bins.some(hasHeartRate)) return null;
+  const heartRate = getHeartRateOptions(options);
+
+  return {
+    zoneMethod: heartRate.zoneMethod,
+    timeInZones: getTimeInZones(bins, heartRate),
+    decoupling: getAerobicDecoupling(bins),
+    cardiacDrift: getCardiacDrift(bins)
+  };
+}
+
+/**
+ * Combine per-run analyses (e.g. a batch): zone times are summed, decoupling and drift are
+ * averaged weighted by each run's moving time with heart rate
+ * @param {Array} analyses - getHeartRateAnalysis results (nulls are skipped)
+ */
+function combineHeartRateAnalyses(analyses) {
+  const runs = (analyses || []).filter(Boolean);
+  if (runs.length === 0) return null;
+
+  let timeInZones = null;
+  const zonedRuns = runs.filter(run => run.timeInZones);
+  if (zonedRuns.length) {
+    timeInZones = zonedRuns[0].timeInZones.map(zone => ({ ...zone, seconds: 0, percent: 0 }));
+    zonedRuns.forEach(run => run.timeInZones.forEach((zone, i) => {
+      if (timeInZones[i]) timeInZones[i].seconds += zone.seconds;
+    }));
+    const totalSeconds = timeInZones.reduce((sum, zone) => sum + zone.seconds, 0);
+    timeInZones.forEach(zone => {
+      zone.percent = totalSeconds > 0 ? Number(((zone.seconds / totalSeconds) * 100).toFixed(1)) : 0;
+    });
+  }
+
+  const weightedMean = (items, getValue, getWeight) => {
+    const weight = items.reduce((sum, item) => sum + getWeight(item), 0);
+    return weight > 0 ? Number((items.reduce((sum, item) => sum + getValue(item) * getWeight(item), 0) / weight).toFixed(2)) : null;
+  };
+  const decoupled = runs.filter(run => run.decoupling);
+  const drifting = runs.filter(run => run.cardiacDrift);
+  const runSeconds = run => (run.decoupling
+    ? run.decoupling.firstHalf.movingTime + run.decoupling.secondHalf.movingTime
+    : (run.timeInZones || []).reduce((sum, zone) => sum + zone.seconds, 0)) || 1;
+
+  return {
+    runCount: runs.length,
+    timeInZones,
+    decouplingPercent: weightedMean(decoupled, run => run.decoupling.decouplingPercent, runSeconds),
+    aerobicRuns: decoupled.filter(run => run.decoupling.aerobic).length,
+    runsWithDecoupling: decoupled.length,
+    driftBpmPerHour: weightedMean(drifting, run => run.cardiacDrift.bpmPerHour, runSeconds)
+  };
+}
+
+module.exports = {
+  HR_ZONE_METHODS,
+  DEFAULT_ZONE_BOUNDS,
+  AEROBIC_DECOUPLING_LIMIT,
+  DEFAULT_HEART_RATE_OPTIONS,
+  getHeartRateOptions,
+  getTimeInZones,
+  getAerobicDecoupling,
+  getCardiacDrift,
+  getHeartRateAnalysis,
+  combineHeartRateAnalyses
+};
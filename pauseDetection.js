@@ -0,0 +1,152 @@
+/**
+ * PAUSE / STOP DETECTION
+ *
+ * Flags stationary periods at the point level so bins can report moving time
+ * next to elapsed time. A traffic-light stop or photo break otherwise gives a
+ * bin a huge timeInSeconds and a meaningless pace.
+ *
+ * Each point gets stoppedSeconds: the stationary part of the segment ending at that point.
+ * A segment counts as stopped when any of these hold:
+ * - FIT timer was stopped (timer stop/stop_all → start events) - only the paused overlap
+ * - Speed below minSpeed (device speed when recorded, otherwise distance / time)
+ * - Distance below minDistance (duplicate points / jitter while standing)
+ * - Time gap above maxGapSeconds without covering ground at gapMinSpeed (auto-pause gaps)
+ * - The gap between two recorded GPX segments (points with different segment ids)
+ */
+
+const { getSegmentDistance } = require('./gpxBinning');
+
+const DEFAULT_PAUSE_OPTIONS = {
+  enabled: true,
+  minSpeed: 0.3, // m/s (~1 km/h) - slow enough not to flag steep hiking
+  minDistance: 0.2, // meters per segment
+  maxGapSeconds: 30, // seconds between consecutive points
+  gapMinSpeed: 1.0 // m/s a long gap must average to count as moving (e.g. tunnel dropout)
+};
+
+/**
+ * Normalize user-supplied pause detection options (throws on bad params)
+ */
+function getPauseOptions(options = {}) {
+  const merged = { ...DEFAULT_PAUSE_OPTIONS };
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') merged[key] = value;
+  });
+
+  merged.enabled = merged.enabled !== false && merged.enabled !== 'false';
+  ['minSpeed', 'minDistance', 'maxGapSeconds', 'gapMinSpeed'].forEach(key => {
+    merged[key] = Number(merged[key]);
+    if (!isFinite(merged[key]) || merged[key] < 0) {
+      throw new Error(`Pause detection option '${key}' must be a non-negative number`);
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Build timer stop periods ({start, end} in ms) from FIT event messages
+ */
+function getTimerStopPeriods(events = []) {
+  const periods = [];
+  let stoppedAt = null;
+
+  events
+    .filter(event => event.event === 'timer' && event.timestamp)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .forEach(event => {
+      const timestamp = new Date(event.timestamp).getTime();
+      if ((event.event_type === 'stop' || event.event_type === 'stop_all') && stoppedAt === null) {
+        stoppedAt = timestamp;
+      } else if (event.event_type === 'start' && stoppedAt !== null) {
+        periods.push({ start: stoppedAt, end: timestamp });
+        stoppedAt = null;
+      }
+    });
+
+  return periods;
+}
+
+/**
+ * Attach timerPausedSeconds (overlap with FIT timer stop periods) to each point's incoming segment
+ * Mutates and returns the points array.
+ */
+function applyTimerEvents(points, events) {
+  const periods = getTimerStopPeriods(events);
+  if (!periods.length) return points;
+
+  for (let i = 1; i < points.length; i++) {
+    const prevTime = points[i - 1].time;
+    const currTime = points[i].time;
+    if (!(prevTime instanceof Date) || !(currTime instanceof Date)) continue;
+
+    let pausedMs = 0;
+    periods.forEach(({ start, end }) => {
+      pausedMs += Math.max(0, Math.min(end, currTime.getTime()) - Math.max(start, prevTime.getTime()));
+    });
+    if (pausedMs > 0) points[i].timerPausedSeconds = pausedMs / 1000;
+  }
+
+  return points;
+}
+
+/**
+ * Detect stationary periods and flag each point with stoppedSeconds
+ * @param {Array} points - Route points ({lat, lon, time, speed (km/h), timerPausedSeconds?})
+ * @param {Object} [options] - See DEFAULT_PAUSE_OPTIONS
+ * @returns {{points: Array, movingTime: number, stoppedTime: number, stopCount: number, pauseDetection: Object}}
+ */
+function detectPauses(points, options = {}) {
+  const pauseDetection = getPauseOptions(options);
+  const result = { points, movingTime: 0, stoppedTime: 0, stopCount: 0, pauseDetection };
+
+  if (!Array.isArray(points) || points.length < 2) return result;
+
+  let inStop = false;
+  result.points = points.map((curr, i) => {
+    if (i === 0) return { ...curr, stoppedSeconds: 0 };
+
+    const prev = points[i - 1];
+    const dt = prev.time && curr.time ? (new Date(curr.time) - new Date(prev.time)) / 1000 : 0;
+    if (!(dt > 0)) return { ...curr, stoppedSeconds: 0 };
+
+    let stoppedSeconds = 0;
+    if (prev.segment !== curr.segment) {
+      stoppedSeconds = dt; // time between recorded segments is never moving time
+    } else if (pauseDetection.enabled) {
+      const timerPaused = Math.min(dt, curr.timerPausedSeconds || 0);
+      const movingDt = dt - timerPaused;
+      const segDist = getSegmentDistance(prev, curr); // device distance where GPS is missing
+      const gpsSpeed = movingDt > 0 ? segDist / movingDt : 0;
+      const speed = typeof curr.speed === 'number' && movingDt <= pauseDetection.maxGapSeconds
+        ? curr.speed / 3.6 // device speed is km/h
+        : gpsSpeed;
+
+      const stationary = movingDt > 0 && (
+        speed < pauseDetection.minSpeed ||
+        segDist < pauseDetection.minDistance ||
+        (movingDt > pauseDetection.maxGapSeconds && gpsSpeed < pauseDetection.gapMinSpeed)
+      );
+      stoppedSeconds = stationary ? dt : timerPaused;
+    }
+
+    if (stoppedSeconds > 0 && !inStop) result.stopCount++;
+    inStop = stoppedSeconds > 0;
+
+    result.stoppedTime += stoppedSeconds;
+    result.movingTime += dt - stoppedSeconds;
+    return { ...curr, stoppedSeconds };
+  });
+
+  result.movingTime = Math.round(result.movingTime);
+  result.stoppedTime = Math.round(result.stoppedTime);
+  return result;
+}
+
+module.exports = {
+  DEFAULT_PAUSE_OPTIONS,
+  getPauseOptions,
+  getTimerStopPeriods,
+  applyTimerEvents,
+  detectPauses
+};
@@ -0,0 +1,178 @@
+/**
+ * ROUTE GEOJSON
+ *
+ * Map output for /api/analyze-with-bins: one GeoJSON FeatureCollection per file with a
+ * LineString per bin, so the frontend can colour the route by gradient, pace, GAP or HR.
+ *
+ * - Coordinates are [lon, lat] rounded to 6 decimals (~0.1 m); bins without two GPS points
+ *   (treadmill, tunnel) keep their feature with a null geometry.
+ * - excluded / excludeReason use the same rules as /api/analyze-with-filters-json
+ *   (removeUnreliableBins, heartRateFilter).
+ * - tolerance > 0 simplifies each bin's line with Douglas–Peucker (meters); bin endpoints
+ *   are always kept so neighbouring bins still join up.
+ */
+
+const { hasPosition, filterResultBins } = require('./gpxBinning');
+
+const DEFAULT_GEOJSON_OPTIONS = {
+  enabled: false,
+  tolerance: 0, // meters, 0 = no simplification
+  removeUnreliableBins: false,
+  heartRateFilter: null // { minHR, maxHR }
+};
+
+const EARTH_RADIUS = 6371000; // meters
+
+/**
+ * Normalize user-supplied GeoJSON options (throws on bad params)
+ * Multipart fields arrive as strings: heartRateFilter may be a JSON object string.
+ */
+function getGeoJSONOptions(options = {}) {
+  const merged = { ...DEFAULT_GEOJSON_OPTIONS };
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') merged[key] = value;
+  });
+
+  merged.enabled = merged.enabled === true || merged.enabled === 'true';
+  merged.removeUnreliableBins = merged.removeUnreliableBins === true || merged.removeUnreliableBins === 'true';
+
+  merged.tolerance = Number(merged.tolerance);
+  if (!isFinite(merged.tolerance) || merged.tolerance < 0) {
+    throw new Error('GeoJSON tolerance must be a non-negative number of meters');
+  }
+
+  let heartRateFilter = merged.heartRateFilter;
+  if (typeof heartRateFilter === 'string') {
+    try {
+      heartRateFilter = JSON.parse(heartRateFilter);
+    } catch (error) {
+      throw new Error('heartRateFilter must be a JSON object like {"minHR":120,"maxHR":170}');
+    }
+  }
+  if (heartRateFilter) {
+    heartRateFilter = { ...heartRateFilter };
+    ['minHR', 'maxHR'].forEach(key => {
+      if (heartRateFilter[key] === undefined || heartRateFilter[key] === null || heartRateFilter[key] === '') return;
+      heartRateFilter[key] = Number(heartRateFilter[key]);
+      if (!(heartRateFilter[key] >= 0)) {
+        throw new Error(`heartRateFilter.${key} must be a non-negative number`);
+      }
+    });
+  }
+  merged.heartRateFilter = heartRateFilter || null;
+
+  return merged;
+}
+
+// Perpendicular distance (m) from p to segment a-b on a local equirectangular projection
+function getSegmentOffset(p, a, b) {
+  const lat0 = ((a[1] + b[1]) / 2) * Math.PI / 180;
+  const project = ([lon, lat]) => [
+    (lon * Math.PI / 180) * Math.cos(lat0) * EARTH_RADIUS,
+    (lat * Math.PI / 180) * EARTH_RADIUS
+  ];
+  const [px, py] = project(p);
+  const [ax, ay] = project(a);
+  const [bx, by] = project(b);
+
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0;
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+/**
+ * Douglas–Peucker line simplification
+ * @param {Array} coordinates - [lon, lat] pairs
+ * @param {number} tolerance - Max deviation in meters
+ * @returns {Array} - Simplified coordinates (first and last always kept)
+ */
+function simplifyLine(coordinates, tolerance) {
+  if (!(tolerance > 0) || coordinates.length <= 2) return coordinates;
+
+  const keep = new Array(coordinates.length).fill(false);
+  keep[0] = true;
+  keep[coordinates.length - 1] = true;
+
+  // Explicit stack instead of recursion: long straight bins can be thousands of points
+  const stack = [[0, coordinates.length - 1]];
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let maxOffset = 0;
+    let maxIdx = -1;
+    for (let i = first + 1; i < last; i++) {
+      const offset = getSegmentOffset(coordinates[i], coordinates[first], coordinates[last]);
+      if (offset > maxOffset) {
+        maxOffset = offset;
+        maxIdx = i;
+      }
+    }
+    if (maxIdx !== -1 && maxOffset > tolerance) {
+      keep[maxIdx] = true;
+      stack.push([first, maxIdx], [maxIdx, last]);
+    }
+  }
+
+  return coordinates.filter((_, i) => keep[i]);
+}
+
+const round6 = value => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Build a FeatureCollection with one LineString per bin
+ * @param {Array} points - The route points the bins were built from (bin startIdx/endIdx index into them)
+ * @param {Array} bins - Bins from getAnalysisBins
+ * @param {Object} [options] - See DEFAULT_GEOJSON_OPTIONS
+ */
+function getBinGeoJSON(points, bins, options = {}) {
+  const geojson = getGeoJSONOptions({ ...options, enabled: true });
+  const [{ bins: reviewedBins }] = filterResultBins([{ bins }], geojson).reviewedResults;
+
+  let pointsBefore = 0;
+  let pointsAfter = 0;
+
+  const features = reviewedBins.map((bin, binIndex) => {
+    const coordinates = [];
+    for (let i = bin.startIdx; i <= bin.endIdx && i < points.length; i++) {
+      if (hasPosition(points[i])) coordinates.push([round6(points[i].lon), round6(points[i].lat)]);
+    }
+    const simplified = simplifyLine(coordinates, geojson.tolerance);
+    pointsBefore += coordinates.length;
+    pointsAfter += simplified.length;
+
+    const gradeAdjustedPace = typeof bin.pace_min_per_km === 'number' && bin.adjustmentFactor > 0
+      ? bin.pace_min_per_km / bin.adjustmentFactor
+      : null;
+
+    return {
+      type: 'Feature',
+      geometry: simplified.length >= 2 ? { type: 'LineString', coordinates: simplified } : null,
+      properties: {
+        binIndex,
+        startTime: bin.startTime,
+        distance: bin.distance,
+        gradient: bin.gradient,
+        pace: bin.pace_min_per_km, // min/km
+        gradeAdjustedPace, // min/km
+        adjustmentFactor: bin.adjustmentFactor,
+        avgHeartRate: bin.avgHeartRate,
+        excluded: Boolean(bin.excludeReason),
+        excludeReason: bin.excludeReason
+      }
+    };
+  });
+
+  return {
+    type: 'FeatureCollection',
+    features,
+    simplification: { tolerance: geojson.tolerance, pointsBefore, pointsAfter }
+  };
+}
+
+module.exports = {
+  DEFAULT_GEOJSON_OPTIONS,
+  getGeoJSONOptions,
+  simplifyLine,
+  getBinGeoJSON
+};
@@ -0,0 +1,145 @@
+/**
+ * RUNNING POWER
+ *
+ * Estimated running power per bin for files without a power meter (GPX, older watches):
+ * - Running: ECOR (energy cost of running, ~1 J/kg/m on the flat) × mass × speed, scaled by
+ *   Minetti's gradient cost C(i) / C(0), so climbs cost more and gentle descents less.
+ * - Air (optional): ½ · ρ · CdA · (speed + headwind)² · speed
+ * Native power records (FIT `power`, TCX Watts, GPX power extensions) are averaged per bin as
+ * avgPower and reported next to the estimate, never replaced by it.
+ *
+ * Normalised power follows the cycling convention: 30 s rolling average, 4th-power mean, 4th root.
+ */
+
+const { calculateMinettiAdjustment } = require('./Coefficients');
+
+const DEFAULT_POWER_OPTIONS = {
+  mass: 70, // kg
+  ecor: 1.04, // J/kg/m on the flat
+  airResistance: true,
+  windSpeed: 0, // m/s, positive = headwind
+  cda: 0.24, // m², frontal area × drag coefficient of a runner
+  airDensity: 1.225 // kg/m³ (sea level, 15°C)
+};
+
+const NORMALIZED_POWER_WINDOW = 30; // seconds
+
+/**
+ * Normalize user-supplied power options (throws on bad params)
+ * Multipart fields arrive as strings.
+ */
+function getPowerOptions(options = {}) {
+  const merged = { ...DEFAULT_POWER_OPTIONS };
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') merged[key] = value;
+  });
+
+  merged.airResistance = merged.airResistance === true || merged.airResistance === 'true';
+
+  ['mass', 'ecor', 'cda', 'airDensity'].forEach(key => {
+    merged[key] = Number(merged[key]);
+    if (!(merged[key] > 0)) throw new Error(`Power option '${key}' must be a positive number`);
+  });
+  merged.windSpeed = Number(merged.windSpeed);
+  if (!isFinite(merged.windSpeed)) throw new Error('Power option \'windSpeed\' must be a number of m/s');
+
+  return merged;
+}
+
+/**
+ * Estimated running power
+ * @param {number} speed - m/s
+ * @param {number} gradient - Gradient percentage
+ * @param {Object} [options] - See DEFAULT_POWER_OPTIONS
+ * @returns {number|null} - Watts, or null without a speed
+ */
+function estimateRunningPower(speed, gradient, options = DEFAULT_POWER_OPTIONS) {
+  if (typeof speed !== 'number' || !isFinite(speed) || speed <= 0) return null;
+
+  const runningPower = options.ecor * options.mass * speed * calculateMinettiAdjustment(gradient || 0);
+  const airSpeed = speed + options.windSpeed;
+  const airPower = options.airResistance
+    ? 0.5 * options.airDensity * options.cda * airSpeed * Math.abs(airSpeed) * speed
+    : 0;
+
+  return Math.max(0, runningPower + airPower);
+}
+
+/**
+ * Normalised power from bins: each bin's power is spread over its whole seconds of moving time,
+ * then 30 s rolling average → mean of 4th powers → 4th root
+ * @param {Array} bins - Bins with movingTime
+ * @param {string} field - 'estimatedPower' or 'avgPower'
+ */
+function getNormalizedPower(bins, field) {
+  const seconds = [];
+  bins.forEach(bin => {
+    if (typeof bin[field] !== 'number') return;
+    const count = Math.round(bin.movingTime || 0);
+    for (let i = 0; i < count; i++) seconds.push(bin[field]);
+  });
+  if (seconds.length < NORMALIZED_POWER_WINDOW) return null;
+
+  let windowSum = 0;
+  let fourthPowerSum = 0;
+  let windowCount = 0;
+  seconds.forEach((watts, i) => {
+    windowSum += watts;
+    if (i >= NORMALIZED_POWER_WINDOW) windowSum -= seconds[i - NORMALIZED_POWER_WINDOW];
+    if (i >= NORMALIZED_POWER_WINDOW - 1) {
+      fourthPowerSum += (windowSum / NORMALIZED_POWER_WINDOW) ** 4;
+      windowCount++;
+    }
+  });
+  return Math.round((fourthPowerSum / windowCount) ** 0.25);
+}
+
+// Moving-time weighted average of a bin field
+function getAveragePower(bins, field) {
+  const withPower = bins.filter(bin => typeof bin[field] === 'number' && bin.movingTime > 0);
+  const time = withPower.reduce((sum, bin) => sum + bin.movingTime, 0);
+  return time > 0 ? Math.round(withPower.reduce((sum, bin) => sum + bin[field] * bin.movingTime, 0) / time) : null;
+}
+
+/**
+ * Power summary for one run's bins
+ * @param {Array} bins - Bins from getAnalysisBins
+ * @param {Object} [options] - See DEFAULT_POWER_OPTIONS (mass for W/kg)
+ * @returns {Object|null} - Estimated avg/normalised power and W/kg; native avg/normalised power
+ *   and the estimate's difference from it (%) when the file recorded power
+ */
+function getPowerSummary(bins, options = {}) {
+  const power = getPowerOptions(options);
+  const avgEstimatedPower = getAveragePower(bins, 'estimatedPower');
+  if (avgEstimatedPower === null) return null;
+
+  const normalizedEstimatedPower = getNormalizedPower(bins, 'estimatedPower');
+  const avgNativePower = getAveragePower(bins, 'avgPower');
+  const normalizedNativePower = avgNativePower !== null ? getNormalizedPower(bins, 'avgPower') : null;
+
+  return {
+    mass: power.mass,
+    avgEstimatedPower, // W
+    normalizedEstimatedPower, // W
+    estimatedPowerPerKg: Number((avgEstimatedPower / power.mass).toFixed(2)),
+    normalizedEstimatedPowerPerKg: normalizedEstimatedPower !== null
+      ? Number((normalizedEstimatedPower / power.mass).toFixed(2))
+      : null,
+    hasNativePower: avgNativePower !== null,
+    avgNativePower,
+    normalizedNativePower,
+    nativePowerPerKg: avgNativePower !== null ? Number((avgNativePower / power.mass).toFixed(2)) : null,
+    estimateDifferencePercent: avgNativePower > 0
+      ? Number((((avgEstimatedPower - avgNativePower) / avgNativePower) * 100).toFixed(1))
+      : null
+  };
+}
+
+module.exports = {
+  DEFAULT_POWER_OPTIONS,
+  NORMALIZED_POWER_WINDOW,
+  getPowerOptions,
+  estimateRunningPower,
+  getNormalizedPower,
+  getPowerSummary
+};
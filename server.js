@@ -3,42 +3,67 @@
 /**
  * RUNGRADE BACKEND API SERVER
  * 
- * Express.js server that processes GPS running data from GPX and FIT files.
+ * Express.js server that processes GPS running data from GPX, FIT and TCX files.
  * Provides two main analysis modes: basic file analysis and advanced binning analysis.
  * 
  * KEY ENDPOINTS:
  * - POST /api/analyze-files-bulk: Basic file processing (distance, time, elevation)
  * - POST /api/analyze-with-bins: Advanced analysis with distance-based bins + heart rate
+ *   (geojson=true adds a per-bin GeoJSON route, geojsonTolerance simplifies it;
+ *   hrZoneMethod/maxHR/restingHR/lthr/hrZones set the HR zones in each binSummary.heartRate;
+ *   runnerMass/airResistance/windSpeed drive the estimated power per bin and binSummary.power)
+ * - POST /api/advanced-analysis, /api/analyze-with-filters-json: Gradient pace, cadence/stride, HR cost and grade adjustment
+ *   curves (fatigueStrata=distance|time splits the grade adjustment by cumulative distance/time quantiles)
+ * - POST /api/fit-grade-model: Fit a personal grade adjustment polynomial to uploaded bins
+ * - POST /api/export/:dataset: Bins or analysis tables as CSV, Excel-compatible CSV or JSON Lines
+ * - POST /api/export-activity: One activity back as GPX/TCX with gradient, pace and GAP extensions
+ * - POST /api/upload-batch + GET /api/process-batch/:batchId: Batch job upload, then resumable SSE progress
+ * - GET /api/batch/:id/status, DELETE /api/batch/:id: Poll or cancel a batch job
  * - GET /api/health: Server health check
  * 
- * SUPPORTED FORMATS: GPX files (basic GPS) and FIT files (detailed sports data + HR)
+ * SUPPORTED FORMATS: GPX files (basic GPS), FIT files (detailed sports data + HR) and TCX files (Garmin/Polar laps + HR)
  * 
  * ARCHITECTURE:
  * File Upload → Parser Selection → Data Extraction → Analysis → JSON Response
- * Uses multer for file handling, gpxparser for GPX, fit-file-parser for FIT files
+ * Each upload is parsed once (GPXhelpers.parseActivities) into a normalized activity model;
+ * stats and bins are both derived from it. Uses multer for file handling, fit-file-parser for FIT, xmldom for GPX/TCX
+ * Upload analysis runs in a worker_threads pool (workerPool.js, size from WORKER_POOL_SIZE).
+ * Batches are jobs with a TTL in memory or on disk (batchJobs.js, BATCH_STORAGE / BATCH_TTL_MINUTES).
  */
 
 
 const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
-const GPXParser = require('gpxparser');
-const FitParser = require('fit-file-parser').default;
 const gpxBinning = require('./gpxBinning');
 const compression = require('compression');
 const app = express();
 const PORT = process.env.PORT || 3001;
+const SSE_HEARTBEAT_MS = Number(process.env.SSE_HEARTBEAT_MS) || 15000;
+const { GPX_TRACK_MODES, FIT_SESSION_MODES } = require('./GPXhelpers');
+const { getGradeAdjustmentModel, DEFAULT_GAP_MODEL } = require('./Coefficients');
+const { getSmoothingOptions } = require('./elevationSmoothing');
+const { getCorrectionOptions } = require('./demElevation');
+const { getPauseOptions } = require('./pauseDetection');
+const { getGeoJSONOptions } = require('./routeGeoJSON');
+const { getHeartRateOptions } = require('./heartRateAnalysis');
+const { getPowerOptions } = require('./runningPower');
+const { analyzeFileInWorker } = require('./workerPool');
 const {
-  getTotalDistance,
-  getTotalTime,
-  getTotalElevationGain,
-  processFITFile,
-  processFile,
-  processGPXFile,
-  getRoutePoints,
-  getGPXRoutePoints,
-  getFITRoutePoints
-} = require('./GPXhelpers');
+  EXPORT_DATASETS,
+  getExportOptions,
+  getExportContentType,
+  getExportFilename,
+  writeExport
+} = require('./dataExport');
+const { ACTIVITY_EXPORT_FORMATS, exportAnnotatedActivity } = require('./activityExport');
+const {
+  FINAL_EVENT_TYPES,
+  getBatchJobStore,
+  getBatchJobRun,
+  startBatchJob,
+  cancelBatchJob
+} = require('./batchJobs');
 
 // Middleware
 app.use(cors());
@@ -73,6 +98,114 @@ app.use((req, res, next) => {
   next();
 });
 
+// Resolve the GAP model requested by the client (throws on unknown model / bad coefficients)
+function getRequestGapModel(body = {}) {
+  let coefficients = body.modelCoefficients;
+  if (typeof coefficients === 'string') {
+    // Multipart form fields arrive as strings: accept a JSON array or comma-separated list
+    coefficients = coefficients.trim().startsWith('[')
+      ? JSON.parse(coefficients)
+      : coefficients.split(',').map(Number);
+  }
+  return getGradeAdjustmentModel(body.model || DEFAULT_GAP_MODEL, coefficients);
+}
+
+// Parse binning/pre-processing options shared by the upload endpoints (throws on invalid values)
+// Optional fatigue stratification of the grade adjustment analysis (fatigueStrata, fatigueStrataCount)
+function getRequestFatigueOptions(body = {}) {
+  return gpxBinning.getFatigueOptions({ by: body.fatigueStrata, strata: body.fatigueStrataCount });
+}
+
+function getRequestBinningOptions(body = {}) {
+  const gradientMethod = body.gradientMethod || 'endpoints';
+  if (!['endpoints', 'regression'].includes(gradientMethod)) {
+    throw new Error(`Unknown gradientMethod '${gradientMethod}'. Available: endpoints, regression`);
+  }
+
+  const binMode = body.binMode || 'distance';
+  if (!gpxBinning.BIN_MODES.includes(binMode)) {
+    throw new Error(`Unknown binMode '${binMode}'. Available: ${gpxBinning.BIN_MODES.join(', ')}`);
+  }
+
+  const binDuration = body.binDuration === undefined || body.binDuration === '' ? 30 : Number(body.binDuration);
+  if (!(binDuration > 0)) {
+    throw new Error('binDuration must be a positive number of seconds');
+  }
+
+  const gradeThreshold = body.gradeThreshold === undefined || body.gradeThreshold === '' ? 3 : Number(body.gradeThreshold);
+  if (!(gradeThreshold > 0)) {
+    throw new Error('gradeThreshold must be a positive gradient percentage');
+  }
+
+  const binBoundary = body.binBoundary || 'overshoot';
+  if (!['overshoot', 'interpolate'].includes(binBoundary)) {
+    throw new Error(`Unknown binBoundary '${binBoundary}'. Available: overshoot, interpolate`);
+  }
+
+  const gpxTracks = body.gpxTracks || 'first';
+  if (!GPX_TRACK_MODES.includes(gpxTracks)) {
+    throw new Error(`Unknown gpxTracks '${gpxTracks}'. Available: ${GPX_TRACK_MODES.join(', ')}`);
+  }
+
+  const distanceSource = body.distanceSource || 'auto';
+  if (!gpxBinning.DISTANCE_SOURCES.includes(distanceSource)) {
+    throw new Error(`Unknown distanceSource '${distanceSource}'. Available: ${gpxBinning.DISTANCE_SOURCES.join(', ')}`);
+  }
+
+  const fitSessions = body.fitSessions || 'running';
+  if (!FIT_SESSION_MODES.includes(fitSessions)) {
+    throw new Error(`Unknown fitSessions '${fitSessions}'. Available: ${FIT_SESSION_MODES.join(', ')}`);
+  }
+
+  return {
+    gpxTracks,
+    fitSessions,
+    binMode,
+    binDuration,
+    gradeThreshold,
+    gradientMethod,
+    binBoundary,
+    distanceSource,
+    elevationCorrection: getCorrectionOptions({
+      mode: body.elevationCorrection,
+      demWeight: body.demWeight
+    }),
+    pauseDetection: getPauseOptions({
+      enabled: body.pauseDetection,
+      minSpeed: body.pauseMinSpeed,
+      minDistance: body.pauseMinDistance,
+      maxGapSeconds: body.pauseMaxGap,
+      gapMinSpeed: body.pauseGapMinSpeed
+    }),
+    smoothing: getSmoothingOptions({
+      method: body.smoothing,
+      window: body.smoothingWindow,
+      polyOrder: body.smoothingPolyOrder,
+      processNoise: body.smoothingProcessNoise,
+      measurementNoise: body.smoothingMeasurementNoise,
+      threshold: body.smoothingThreshold
+    }),
+    geojson: getGeoJSONOptions({
+      enabled: body.geojson,
+      tolerance: body.geojsonTolerance,
+      removeUnreliableBins: body.removeUnreliableBins,
+      heartRateFilter: body.heartRateFilter
+    }),
+    heartRate: getHeartRateOptions({
+      zoneMethod: body.hrZoneMethod,
+      maxHR: body.maxHR,
+      restingHR: body.restingHR,
+      lthr: body.lthr,
+      zones: body.hrZones
+    }),
+    power: getPowerOptions({
+      mass: body.runnerMass,
+      airResistance: body.airResistance,
+      windSpeed: body.windSpeed
+    })
+  };
+}
+
 // Updated API endpoint
 
 
@@ -82,7 +215,7 @@ app.get('/api/health', (req, res) => {
     status: 'OK', 
     timestamp: new Date().toISOString(),
     message: '🏃‍♂️ RunGrade backend is running!',
-    supportedFormats: ['GPX', 'FIT']
+    supportedFormats: ['GPX', 'FIT', 'TCX']
   });
 });
 
@@ -96,52 +229,35 @@ app.post('/api/analyze-with-bins', upload.array('files', 200), async (req, res)
     // Get bin length from request (default 50m)
     const binLength = parseInt(req.body.binLength) || 50;
     console.log(`Using bin length: ${binLength}m`);
+
+    let gapModel;
+    let binningOptions;
+    try {
+      gapModel = getRequestGapModel(req.body);
+      binningOptions = getRequestBinningOptions(req.body);
+    } catch (optionsError) {
+      return res.status(400).json({ success: false, error: optionsError.message });
+    }
+    console.log(`Using GAP model: ${gapModel.name}, smoothing: ${binningOptions.smoothing.method}, gradient: ${binningOptions.gradientMethod}`);
     
     const results = [];
     const errors = [];
+    const skippedSessions = [];
     
-    for (const [index, file] of req.files.entries()) {
-      console.log(`📁 Processing file ${index + 1}/${req.files.length}: ${file.originalname}`);
-      
-      const result = await processFile(file.buffer, file.originalname);
-      
-      if (result.error) {
-        errors.push(result);
-        console.log(`❌ Failed: ${result.filename} - ${result.error}`);
-      } else {
-        // Get the route points for binning
-        const routePoints = await getRoutePoints(file.buffer, file.originalname);
-        
-        if (routePoints && routePoints.length > 0) {
-          // Create bins
-          const bins = gpxBinning.getAnalysisBins(routePoints, binLength);
-          const binSummary = gpxBinning.getBinSummary(bins);
-          
-          console.log(`✅ Created ${bins.length} bins for ${result.stats.filename}`);
-          
-          // Check if this file has heart rate data in any bin
-          const hasHeartRateData = bins.some(bin => bin.avgHeartRate !== null);
-          
-          results.push({
-            ...result.stats,
-            binLength,
-            bins,
-            binSummary,
-            routePointCount: routePoints.length,
-            hasHeartRateData // Add this flag
-          });
-        } else {
-          results.push({
-            ...result.stats,
-            binLength,
-            bins: [],
-            binSummary: null,
-            routePointCount: 0,
-            hasHeartRateData: false
-          });
-        }
-      }
-    }
+    // Files are analysed in parallel in the worker pool; results keep upload order
+    const analyses = await Promise.all(req.files.map((file, index) => {
+      console.log(`📁 Queued file ${index + 1}/${req.files.length}: ${file.originalname}`);
+      return analyzeFileInWorker(file, binLength, gapModel, binningOptions);
+    }));
+
+    analyses.forEach(analysis => {
+      analysis.errors.forEach(error => console.log(`❌ Failed: ${error.filename} - ${error.error}`));
+      analysis.results.forEach(result => console.log(`✅ Created ${result.bins.length} bins for ${result.filename}`));
+
+      results.push(...analysis.results);
+      errors.push(...analysis.errors);
+      skippedSessions.push(...analysis.skippedSessions);
+    });
 
     // Calculate overall summary AFTER processing all files
     const totalBins = results.reduce((sum, r) => sum + (r.bins?.length || 0), 0);
@@ -151,13 +267,27 @@ app.post('/api/analyze-with-bins', upload.array('files', 200), async (req, res)
     const filesWithHeartRate = results.filter(r => r.hasHeartRateData).length;
 
     const summary = {
-      totalFiles: req.files.length,
+      totalFiles: results.length + errors.length,
+      uploadedFiles: req.files.length,
       successfulFiles: results.length,
       failedFiles: errors.length,
       binLength,
+      gapModel: gapModel.name,
+      gpxTracks: binningOptions.gpxTracks,
+      fitSessions: binningOptions.fitSessions,
+      skippedSessions,
+      binMode: binningOptions.binMode,
+      binDuration: binningOptions.binMode === 'time' ? binningOptions.binDuration : null,
+      gradeThreshold: binningOptions.binMode === 'grade-segments' ? binningOptions.gradeThreshold : null,
+      binBoundary: binningOptions.binBoundary,
+      distanceSource: binningOptions.distanceSource,
+      elevationSmoothing: { ...binningOptions.smoothing, gradientMethod: binningOptions.gradientMethod },
+      elevationCorrection: binningOptions.elevationCorrection.mode,
+      filesWithCorrectedElevation: results.filter(r => r.usedCorrectedElevation).length,
       totalBins,
       avgBinsPerFile: Math.round(avgBinsPerFile * 10) / 10,
-      filesWithHeartRate // Now correctly calculated
+      filesWithHeartRate, // Now correctly calculated
+      totals: gpxBinning.getResultsSummary(results) // distance, elevation loss, GAP and equivalent flat distance across files
     };
 
     console.log(`🎉 Binning complete: ${totalBins} total bins created`);
@@ -182,15 +312,31 @@ app.post('/api/analyze-with-bins', upload.array('files', 200), async (req, res)
 // Advanced analysis (patterns, charts)
 app.post('/api/advanced-analysis', (req, res) => {
   try {
-    const { results, statType = 'mean' } = req.body;
+    const { statType = 'mean' } = req.body;
+
+    let gapModel;
+    try {
+      gapModel = getRequestGapModel(req.body);
+    } catch (modelError) {
+      return res.status(400).json({ success: false, error: modelError.message });
+    }
+    let fatigue;
+    try {
+      fatigue = getRequestFatigueOptions(req.body);
+    } catch (fatigueError) {
+      return res.status(400).json({ success: false, error: fatigueError.message });
+    }
+    const results = gpxBinning.applyGradeAdjustmentModel(req.body.results || [], gapModel);
 
     const gradientPace = gpxBinning.getGradientPaceAnalysis(results);
     const paceByGradientChart = gpxBinning.getPaceByGradientChart(results);
-    const gradeAdjustment = gpxBinning.getGradeAdjustmentAnalysis(results);
+    const cadenceByGradientChart = gpxBinning.getCadenceByGradientChart(results);
+    const gradeAdjustment = gpxBinning.getGradeAdjustmentAnalysis(results, 'near-zero', gapModel, { fatigue });
 
     // Calculate base pace for red dots
     const basePace = gradeAdjustment.basePace;
     const redDotData = gpxBinning.getAdjustmentByGradientBins(results, basePace, statType);
+    const heartRateCost = gpxBinning.getHeartRateCostByGradientBins(results, basePace, statType);
 
     console.log('Backend: redDotData', redDotData); // Optional: add this for debugging
 
@@ -199,8 +345,10 @@ app.post('/api/advanced-analysis', (req, res) => {
       analyses: {
         gradientPace,
         paceByGradientChart,
+        cadenceByGradientChart,
         gradeAdjustment,
-        redDotData
+        redDotData,
+        heartRateCost
       }
     });
   } catch (error) {
@@ -212,92 +360,112 @@ app.post('/api/advanced-analysis', (req, res) => {
   }
 });
 
-// Filtered analysis
-app.post('/api/analyze-with-filters-json', (req, res) => {
+// Personal grade adjustment model (least-squares polynomial fit)
+app.post('/api/fit-grade-model', (req, res) => {
   try {
-    const { results, filterOptions, removeUnreliableBins, heartRateFilter } = req.body;
+    const { results, basePaceOption = 'near-zero' } = req.body;
     if (!results || !Array.isArray(results)) {
       return res.status(400).json({ success: false, error: 'No results provided' });
     }
 
-    // Track exclusion reasons
-    let exclusionCounts = {
-      speed: 0,
-      gradient: 0,
-      timeInSeconds: 0,
-      distance: 0,
-      heartRate: 0,
-      total: 0
-    };
+    const degree = req.body.degree === undefined || req.body.degree === '' ? 2 : Number(req.body.degree);
+    if (!Number.isInteger(degree) || degree < 1 || degree > 6) {
+      return res.status(400).json({ success: false, error: 'degree must be a whole number between 1 and 6' });
+    }
+
+    let gapModel;
+    try {
+      gapModel = getRequestGapModel(req.body);
+    } catch (modelError) {
+      return res.status(400).json({ success: false, error: modelError.message });
+    }
 
-    const filteredResults = results.map(run => {
-      let bins = run.bins || [];
-      let filteredBins = [];
-      bins.forEach(bin => {
-        let excludeReason = null;
-        if (removeUnreliableBins) {
-          const speed =
-  typeof bin.avgSpeed === 'number'
-    ? bin.avgSpeed // FIT files: km/h
-    : (typeof bin.velocity === 'number' ? bin.velocity * 3.6 : 0); // GPX files: m/s to km/h
-
-          if (!(speed >= 1 && speed <= 30)) {
-            exclusionCounts.speed++;
-            excludeReason = 'speed';
-          } else if (!(bin.gradient <= 30 && bin.gradient >= -30)) {
-            exclusionCounts.gradient++;
-            excludeReason = 'gradient';
-          } else if (!(bin.timeInSeconds >= 1)) {
-            exclusionCounts.timeInSeconds++;
-            excludeReason = 'timeInSeconds';
-          } else if (!(bin.distance > 0)) {
-            exclusionCounts.distance++;
-            excludeReason = 'distance';
-          } 
-        }
-        if (heartRateFilter && (heartRateFilter.minHR || heartRateFilter.maxHR)) {
-          if (bin.avgHeartRate == null ||
-              (heartRateFilter.minHR && bin.avgHeartRate < heartRateFilter.minHR) ||
-              (heartRateFilter.maxHR && bin.avgHeartRate > heartRateFilter.maxHR)) {
-            exclusionCounts.heartRate++;
-            excludeReason = 'heartRate';
-          }
-        }
-        if (!excludeReason) {
-          filteredBins.push(bin);
-        } else {
-          exclusionCounts.total++;
-        }
-      });
-      return { ...run, bins: filteredBins };
+    const model = gpxBinning.fitGradeAdjustmentModel(results, degree, basePaceOption, gapModel);
+    if (model.error) {
+      return res.status(400).json({ success: false, error: model.error });
+    }
+
+    console.log(`📈 Fitted degree ${degree} GAP model to ${model.sampleCount} bins (R² = ${model.rSquared})`);
+
+    res.json({
+      success: true,
+      model
     });
+  } catch (error) {
+    console.error('❌ Grade model fit error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // Calculate summary
-    const totalOriginalBins = results.reduce((sum, r) => sum + (r.bins?.length || 0), 0);
-    const totalFilteredBins = filteredResults.reduce((sum, r) => sum + (r.bins?.length || 0), 0);
+// Filter bins and run the gradient analyses shared by the filtered analysis and export endpoints
+function getFilteredAnalysis(body, gapModel, fatigue = null) {
+  const { removeUnreliableBins, heartRateFilter } = body;
+  const results = gpxBinning.applyGradeAdjustmentModel(body.results, gapModel);
+  const { filteredResults, reviewedResults, exclusionCounts } = gpxBinning.filterResultBins(results, {
+    removeUnreliableBins,
+    heartRateFilter
+  });
 
-    // Run advanced analysis on filtered bins
-    const gradientPace = gpxBinning.getGradientPaceAnalysis(filteredResults);
-    const paceByGradientChart = gpxBinning.getPaceByGradientChart(filteredResults);
-    const gradeAdjustment = gpxBinning.getGradeAdjustmentAnalysis(filteredResults);
-    const basePace = gradeAdjustment.basePace;
-    const statType = req.body.statType || 'mean'; // <-- Add this line
-    const redDotData = gpxBinning.getAdjustmentByGradientBins(filteredResults, basePace, statType );
+  // Calculate summary
+  const totalOriginalBins = results.reduce((sum, r) => sum + (r.bins?.length || 0), 0);
+  const totalFilteredBins = filteredResults.reduce((sum, r) => sum + (r.bins?.length || 0), 0);
+
+  // Run advanced analysis on filtered bins
+  const gradientPace = gpxBinning.getGradientPaceAnalysis(filteredResults);
+  const paceByGradientChart = gpxBinning.getPaceByGradientChart(filteredResults);
+  const cadenceByGradientChart = gpxBinning.getCadenceByGradientChart(filteredResults);
+  const gradeAdjustment = gpxBinning.getGradeAdjustmentAnalysis(filteredResults, 'near-zero', gapModel, { fatigue });
+  const basePace = gradeAdjustment.basePace;
+  const statType = body.statType || 'mean';
+  const redDotData = gpxBinning.getAdjustmentByGradientBins(filteredResults, basePace, statType);
+  const heartRateCost = gpxBinning.getHeartRateCostByGradientBins(filteredResults, basePace, statType);
+
+  return {
+    summary: {
+      totalOriginalBins,
+      totalFilteredBins,
+      exclusionCounts
+    },
+    analyses: {
+      gradientPace,
+      paceByGradientChart,
+      cadenceByGradientChart,
+      gradeAdjustment,
+      redDotData,
+      heartRateCost
+    },
+    filteredResults,
+    reviewedResults
+  };
+}
+
+// Filtered analysis
+app.post('/api/analyze-with-filters-json', (req, res) => {
+  try {
+    if (!req.body.results || !Array.isArray(req.body.results)) {
+      return res.status(400).json({ success: false, error: 'No results provided' });
+    }
 
+    let gapModel;
+    try {
+      gapModel = getRequestGapModel(req.body);
+    } catch (modelError) {
+      return res.status(400).json({ success: false, error: modelError.message });
+    }
+
+    let fatigue;
+    try {
+      fatigue = getRequestFatigueOptions(req.body);
+    } catch (fatigueError) {
+      return res.status(400).json({ success: false, error: fatigueError.message });
+    }
+
+    const { summary, analyses, filteredResults } = getFilteredAnalysis(req.body, gapModel, fatigue);
 
     res.json({
       success: true,
-      summary: {
-        totalOriginalBins,
-        totalFilteredBins,
-        exclusionCounts
-      },
-      analyses: {
-        gradientPace,
-        paceByGradientChart,
-        gradeAdjustment,
-        redDotData
-      },
+      summary,
+      analyses,
       filteredResults
     });
   } catch (error) {
@@ -305,9 +473,82 @@ app.post('/api/analyze-with-filters-json', (req, res) => {
   }
 });
 
+// Export bins or an analysis table as CSV / Excel-compatible CSV / JSON Lines.
+// Accepts the /api/analyze-with-filters-json body plus format, units, paceFormat and includeExcluded.
+app.post('/api/export/:dataset', async (req, res) => {
+  const { dataset } = req.params;
+  if (!EXPORT_DATASETS.includes(dataset)) {
+    return res.status(404).json({ success: false, error: `Unknown export '${dataset}'. Available: ${EXPORT_DATASETS.join(', ')}` });
+  }
+  if (!req.body.results || !Array.isArray(req.body.results)) {
+    return res.status(400).json({ success: false, error: 'No results provided' });
+  }
+
+  let gapModel;
+  let fatigue;
+  let exportOptions;
+  try {
+    gapModel = getRequestGapModel(req.body);
+    fatigue = getRequestFatigueOptions(req.body);
+    exportOptions = getExportOptions(req.body);
+  } catch (optionsError) {
+    return res.status(400).json({ success: false, error: optionsError.message });
+  }
+
+  try {
+    const analysis = getFilteredAnalysis(req.body, gapModel, fatigue);
+
+    res.setHeader('Content-Type', getExportContentType(exportOptions.format));
+    res.setHeader('Content-Disposition', `attachment; filename="${getExportFilename(dataset, exportOptions.format)}"`);
+    await writeExport(res, dataset, analysis, exportOptions);
+    res.end();
+  } catch (error) {
+    console.error('Export error:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Download one uploaded activity back as GPX/TCX annotated with the analysis (see activityExport.js)
+// Fields: format (gpx | tcx), activityIndex (multisport FIT session or gpxTracks=split track) plus the /api/analyze-with-bins options
+app.post('/api/export-activity', upload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, error: 'No file provided' });
+  }
+
+  const format = (req.body.format || 'gpx').toLowerCase();
+  const activityIndex = req.body.activityIndex === undefined || req.body.activityIndex === '' ? 0 : Number(req.body.activityIndex);
+  const binLength = parseInt(req.body.binLength) || 50;
+
+  let gapModel;
+  let binningOptions;
+  try {
+    if (!ACTIVITY_EXPORT_FORMATS.includes(format)) {
+      throw new Error(`Unknown format '${format}'. Available: ${ACTIVITY_EXPORT_FORMATS.join(', ')}`);
+    }
+    if (!Number.isInteger(activityIndex) || activityIndex < 0) {
+      throw new Error('activityIndex must be a non-negative integer');
+    }
+    gapModel = getRequestGapModel(req.body);
+    binningOptions = getRequestBinningOptions(req.body);
+  } catch (optionsError) {
+    return res.status(400).json({ success: false, error: optionsError.message });
+  }
+
+  try {
+    const { filename, content } = await exportAnnotatedActivity(req.file, format, binLength, gapModel, binningOptions, activityIndex);
+    res.setHeader('Content-Type', format === 'gpx' ? 'application/gpx+xml' : 'application/vnd.garmin.tcx+xml');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename.replace(/"/g, '')}"`);
+    res.send(content);
+  } catch (error) {
+    console.error('Activity export error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 //BATCH ENDPOINTS
 
-// Batch file upload
+// Batch file upload - creates a job (see batchJobs.js); autoStart=true begins processing right away
 app.post('/api/upload-batch', upload.array('files', 100), async (req, res) => {
   try {
     const binLength = parseInt(req.body.binLength) || 50;
@@ -317,32 +558,67 @@ app.post('/api/upload-batch', upload.array('files', 100), async (req, res) => {
       return res.status(400).json({ success: false, error: 'No files provided' });
     }
 
-    // Store files in memory cache with a unique batch ID
-    const batchId = Date.now().toString();
-    
-    // Store file info in memory (you could use Redis or similar for production)
-    req.app.locals.batchFiles = req.app.locals.batchFiles || {};
-    req.app.locals.batchFiles[batchId] = {
-      files: files,
-      binLength: binLength,
-      timestamp: Date.now()
-    };
+    let gapModel;
+    let binningOptions;
+    try {
+      gapModel = getRequestGapModel(req.body);
+      binningOptions = getRequestBinningOptions(req.body);
+    } catch (optionsError) {
+      return res.status(400).json({ success: false, error: optionsError.message });
+    }
+
+    const store = getBatchJobStore();
+    const job = await store.create(files, {
+      binLength,
+      gapModel: { name: gapModel.name, coefficients: gapModel.coefficients },
+      binningOptions
+    });
 
-    // Return just the batch ID to the client
-    res.json({ success: true, batchId: batchId, fileCount: files.length });
+    if (req.body.autoStart === 'true' || req.body.autoStart === true) {
+      startBatchJob(store, job.id);
+    }
+
+    res.json({
+      success: true,
+      batchId: job.id,
+      fileCount: job.fileCount,
+      status: job.status,
+      expiresAt: job.expiresAt
+    });
   } catch (error) {
     console.error('Batch upload error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Batch processing with SSE
+// Batch processing with SSE - starts the job if needed, then streams its event log.
+// Events: progress ticks, one file-result per file, then complete | error | cancelled.
+// Each carries a numeric id; reconnecting with Last-Event-ID (or ?lastEventId=) resumes after it.
 app.get('/api/process-batch/:batchId', async (req, res) => {
   const { batchId } = req.params;
-  const batchData = req.app.locals.batchFiles?.[batchId];
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+  const store = getBatchJobStore();
+
+  let run;
+  let backlog;
+  try {
+    const job = await store.get(batchId);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Batch not found' });
+    }
 
-  if (!batchData) {
-    return res.status(404).json({ success: false, error: 'Batch not found' });
+    // Finished jobs replay their logged events; running ones catch up from memory, then go live
+    run = ['pending', 'processing'].includes(job.status) ? startBatchJob(store, batchId) : getBatchJobRun(batchId);
+    backlog = run
+      ? run.events.filter(entry => entry.id > lastEventId)
+      : await store.getEvents(batchId, lastEventId);
+  } catch (error) {
+    return res.status(500).json({ success: false, error: error.message });
+  }
+
+  // Nothing left to send: 204 tells EventSource to stop reconnecting
+  if (!run && backlog.length === 0) {
+    return res.status(204).end();
   }
 
   // Now set up SSE - safely because this is a GET request with no body parsing
@@ -351,102 +627,74 @@ app.get('/api/process-batch/:batchId', async (req, res) => {
   res.setHeader('Connection', 'keep-alive');  
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('X-Accel-Buffering', 'no');
-  
-  try {
-    const files = batchData.files;
-    const binLength = batchData.binLength;
-    const totalFiles = files.length;
-    const allResults = [];
-    const allErrors = [];
-
-    // Add this initial progress message
-    res.write(`data: ${JSON.stringify({
-      type: 'progress',
-      fileIndex: 0,
-      totalFiles,
-      progressPercent: 0,
-      filesProcessed: 0,
-      currentFile: 'Starting analysis...',
-      resultsSoFar: [],
-      errorsSoFar: []
-    })}\n\n`);
+
+  const send = entry => {
+    res.write(`id: ${entry.id}\ndata: ${JSON.stringify(entry.event)}\n\n`);
     if (res.flush) res.flush();
-    
-    // Small delay to ensure initial message gets to browser
-    await new Promise(resolve => setTimeout(resolve, 100));
-    
-    console.log(`Starting to process ${totalFiles} files`);
-
-    for (let i = 0; i < totalFiles; i++) {
-      const file = files[i];
-      
-      console.log(`Processing file ${i+1}/${totalFiles}: ${file.originalname}`);
-      
-      try {
-        const result = await processFile(file.buffer, file.originalname);
-        if (result.error) {
-          allErrors.push({ filename: file.originalname, error: result.error });
-        } else {
-          const routePoints = await getRoutePoints(file.buffer, file.originalname);
-          const bins = routePoints ? gpxBinning.getAnalysisBins(routePoints, binLength) : [];
-          const hasHeartRateData = bins.some(bin => bin.avgHeartRate !== null);
-
-          allResults.push({
-            ...result.stats,
-            binLength,
-            bins,
-            binSummary: gpxBinning.getBinSummary(bins),
-            routePointCount: routePoints ? routePoints.length : 0,
-            hasHeartRateData,
-            fileIndex: i
-          });
-        }
-      } catch (error) {
-        allErrors.push({ filename: file.originalname, error: error.message });
-      }
+  };
 
-      console.log(`File ${i+1}/${totalFiles} complete: ${file.originalname}`);
-
-      // Send progress update after each file
-      const progress = {
-        type: 'progress',
-        fileIndex: i + 1,
-        totalFiles,
-        progressPercent: Math.round(((i + 1) / totalFiles) * 100),
-        filesProcessed: allResults.length + allErrors.length,
-        currentFile: file.originalname,
-        resultsSoFar: allResults,
-        errorsSoFar: allErrors
-      };
-      res.write(`data: ${JSON.stringify(progress)}\n\n`);
-      if (res.flush) res.flush();
-      
-      await new Promise(resolve => setTimeout(resolve, 50));
+  backlog.forEach(send);
+  const finished = backlog.some(entry => FINAL_EVENT_TYPES.includes(entry.event.type));
+  if (!run || finished) {
+    return res.end();
+  }
+
+  // Comment lines keep idle proxies from closing the stream between slow files
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+    if (res.flush) res.flush();
+  }, SSE_HEARTBEAT_MS);
+
+  const stop = () => {
+    clearInterval(heartbeat);
+    run.emitter.off('event', onEvent);
+  };
+  const onEvent = entry => {
+    send(entry);
+    if (FINAL_EVENT_TYPES.includes(entry.event.type)) {
+      stop();
+      res.end();
     }
+  };
+  run.emitter.on('event', onEvent);
+  req.on('close', stop);
+});
 
-    // Send final summary
-    const summary = {
-      type: 'complete',
-      totalFiles,
-      successfulFiles: allResults.length,
-      failedFiles: allErrors.length,
-      results: allResults,
-      errors: allErrors
-    };
+// Batch status for clients that poll instead of using EventSource
+app.get('/api/batch/:id/status', async (req, res) => {
+  try {
+    const job = await getBatchJobStore().get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Batch not found' });
+    }
 
-    res.write(`data: ${JSON.stringify(summary)}\n\n`);
-    
-    // Delete the batch data to free memory
-    delete req.app.locals.batchFiles[batchId];
-    
-    res.end();
+    res.json({
+      success: true,
+      batchId: job.id,
+      status: job.status,
+      fileCount: job.fileCount,
+      ...job.progress,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      expiresAt: job.expiresAt,
+      ...(job.status === 'failed' && { error: job.error }),
+      ...(job.status === 'complete' && { summary: job.summary })
+    });
   } catch (error) {
-    console.error('Batch processing error:', error);
-    res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
-    res.end();
-    
-    // Clean up on error too
-    delete req.app.locals.batchFiles[batchId];
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Cancel a pending/processing batch, or delete a finished one
+app.delete('/api/batch/:id', async (req, res) => {
+  try {
+    const cancelled = await cancelBatchJob(getBatchJobStore(), req.params.id);
+    if (!cancelled) {
+      return res.status(404).json({ success: false, error: 'Batch not found' });
+    }
+    res.json({ success: true, batchId: cancelled.id, status: cancelled.status });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
@@ -455,5 +703,5 @@ app.get('/api/process-batch/:batchId', async (req, res) => {
 app.listen(PORT, () => {
   console.log(`🚀 RunGrade backend running on port ${PORT}`);
   console.log(`📡 Health check: http://localhost:${PORT}/api/health`);
-  console.log(`📁 Supports: GPX and FIT files`);
+  console.log(`📁 Supports: GPX, FIT and TCX files`);
 });
\ No newline at end of file
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  GAP_MODELS,
+  DEFAULT_GAP_MODEL,
+  getGradeAdjustmentModel,
+  resolveGradeAdjustmentModel
+} = require('../Coefficients');
+
+test('every named GAP model is neutral on the flat and slows climbs', () => {
+  Object.keys(GAP_MODELS).forEach(name => {
+    const model = getGradeAdjustmentModel(name);
+    assert.equal(model.name, name);
+    assert.equal(model.coefficients, null);
+    assert.ok(Math.abs(model.adjust(0) - 1) < 0.01, `${name} flat factor ${model.adjust(0)}`);
+    assert.ok(model.adjust(10) > 1.2, `${name} 10% factor ${model.adjust(10)}`);
+  });
+  assert.ok(GAP_MODELS[DEFAULT_GAP_MODEL]);
+});
+
+test('custom models evaluate their polynomial in gradient % and clamp at ±35%', () => {
+  const model = getGradeAdjustmentModel('custom', [0.001, 0.03, 1]);
+  assert.equal(model.label, 'Custom degree 2 polynomial');
+  assert.ok(Math.abs(model.adjust(10) - 1.4) < 1e-12);
+  assert.equal(model.adjust(50), model.adjust(35));
+
+  assert.throws(() => getGradeAdjustmentModel('custom', []), /non-empty array of numeric coefficients/);
+  assert.throws(() => getGradeAdjustmentModel('custom', [1, 'x']), /non-empty array of numeric coefficients/);
+  assert.throws(() => getGradeAdjustmentModel('naismith'), /Unknown GAP model 'naismith'. Available: quadratic, strava, minetti, custom/);
+});
+
+test('resolveGradeAdjustmentModel accepts a model, a name or legacy coefficients', () => {
+  const minetti = getGradeAdjustmentModel('minetti');
+  assert.equal(resolveGradeAdjustmentModel(minetti), minetti);
+  assert.equal(resolveGradeAdjustmentModel('strava').name, 'strava');
+  assert.equal(resolveGradeAdjustmentModel(null).name, DEFAULT_GAP_MODEL);
+  assert.equal(resolveGradeAdjustmentModel([0.02, 1]).adjust(10), 1.2);
+});
@@ -0,0 +1,251 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { DOMParser } = require('@xmldom/xmldom');
+const { parseActivity, parseActivities, processFile } = require('../GPXhelpers');
+const { analyzeUploadedFile } = require('../activityAnalysis');
+const { getBinningOptions, makeMultiTrackGPX } = require('./fixtures');
+
+// Two laps of a Garmin-style TCX; the last trackpoint of lap 2 is indoor (no position, no altitude)
+const TCX = `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2"
+  xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">
+  <Activities>
+    <Activity Sport="Running">
+      <Id>2024-05-01T08:00:00Z</Id>
+      <Lap StartTime="2024-05-01T08:00:00Z">
+        <TotalTimeSeconds>6</TotalTimeSeconds>
+        <DistanceMeters>20</DistanceMeters>
+        <MaximumSpeed>3.5</MaximumSpeed>
+        <Calories>2</Calories>
+        <AverageHeartRateBpm><Value>140</Value></AverageHeartRateBpm>
+        <MaximumHeartRateBpm><Value>150</Value></MaximumHeartRateBpm>
+        <Track>
+          <Trackpoint>
+            <Time>2024-05-01T08:00:00Z</Time>
+            <Position><LatitudeDegrees>51.5</LatitudeDegrees><LongitudeDegrees>-0.1</LongitudeDegrees></Position>
+            <AltitudeMeters>100</AltitudeMeters>
+            <DistanceMeters>0</DistanceMeters>
+            <HeartRateBpm><Value>138</Value></HeartRateBpm>
+            <Extensions><ns3:TPX><ns3:Speed>3.2</ns3:Speed><ns3:RunCadence>85</ns3:RunCadence><ns3:Watts>250</ns3:Watts></ns3:TPX></Extensions>
+          </Trackpoint>
+          <Trackpoint>
+            <Time>2024-05-01T08:00:03Z</Time>
+            <Position><LatitudeDegrees>51.50009</LatitudeDegrees><LongitudeDegrees>-0.1</LongitudeDegrees></Position>
+            <AltitudeMeters>101</AltitudeMeters>
+            <DistanceMeters>10</DistanceMeters>
+            <HeartRateBpm><Value>142</Value></HeartRateBpm>
+          </Trackpoint>
+          <Trackpoint>
+            <Time>2024-05-01T08:00:06Z</Time>
+            <Position><LatitudeDegrees>51.50018</LatitudeDegrees><LongitudeDegrees>-0.1</LongitudeDegrees></Position>
+            <AltitudeMeters>102.5</AltitudeMeters>
+            <DistanceMeters>20</DistanceMeters>
+            <HeartRateBpm><Value>150</Value></HeartRateBpm>
+          </Trackpoint>
+        </Track>
+      </Lap>
+      <Lap StartTime="2024-05-01T08:00:06Z">
+        <TotalTimeSeconds>4</TotalTimeSeconds>
+        <DistanceMeters>12</DistanceMeters>
+        <Calories>1</Calories>
+        <AverageHeartRateBpm><Value>155</Value></AverageHeartRateBpm>
+        <MaximumHeartRateBpm><Value>160</Value></MaximumHeartRateBpm>
+        <Track>
+          <Trackpoint>
+            <Time>2024-05-01T08:00:08Z</Time>
+            <Position><LatitudeDegrees>51.50027</LatitudeDegrees><LongitudeDegrees>-0.1</LongitudeDegrees></Position>
+            <AltitudeMeters>103</AltitudeMeters>
+            <DistanceMeters>26</DistanceMeters>
+          </Trackpoint>
+          <Trackpoint>
+            <Time>2024-05-01T08:00:10Z</Time>
+            <DistanceMeters>32</DistanceMeters>
+          </Trackpoint>
+          <Trackpoint>
+            <Time>2024-05-01T08:00:11Z</Time>
+          </Trackpoint>
+        </Track>
+      </Lap>
+      <Creator xsi:type="Device_t" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+        <Name>Forerunner 255</Name>
+        <UnitId>3400000000</UnitId>
+        <ProductID>3990</ProductID>
+        <Version><VersionMajor>20</VersionMajor><VersionMinor>26</VersionMinor></Version>
+      </Creator>
+    </Activity>
+  </Activities>
+</TrainingCenterDatabase>`;
+
+test('TCX trackpoints become route points with extension data and laps', async () => {
+  const activity = await parseActivity(Buffer.from(TCX), 'run.tcx');
+
+  assert.equal(activity.fileType, 'TCX');
+  assert.equal(activity.metadata.sport, 'running');
+  assert.deepEqual(activity.device, { name: 'Forerunner 255', manufacturer: null, product: 3990, serialNumber: 3400000000, softwareVersion: 20.26 });
+
+  // The trackpoint with neither position nor device distance is dropped
+  assert.equal(activity.points.length, 5);
+  assert.deepEqual(activity.points.map(pt => pt.lap), [0, 0, 0, 1, 1]);
+  const [first] = activity.points;
+  assert.equal(first.heartRate, 138);
+  assert.equal(first.cadence, 85);
+  assert.equal(first.power, 250);
+  assert.ok(Math.abs(first.speed - 3.2 * 3.6) < 1e-9); // km/h, like FIT
+
+  // Indoor trackpoint: kept for its device distance, without position or elevation
+  const indoor = activity.points[4];
+  assert.equal(indoor.lat, null);
+  assert.equal(indoor.distance, 32);
+  assert.equal(indoor.hasElevation, false);
+  assert.equal(activity.points[2].ele, 102.5);
+  assert.equal(activity.points[2].hasElevation, true);
+
+  assert.equal(activity.laps.length, 2);
+  assert.equal(activity.laps[0].distance, 0.02);
+  assert.equal(activity.laps[0].ascent, 3); // 100 → 102.5, rounded
+  assert.equal(activity.laps[1].avgHeartRate, 155);
+});
+
+test('TCX session totals come from the laps', async () => {
+  const { stats } = await processFile(Buffer.from(TCX), 'run.tcx');
+
+  assert.equal(stats.totalTime, 10);
+  assert.equal(stats.distance, 0.032);
+  assert.equal(stats.calories, 3);
+  assert.equal(stats.avgHeartRate, 146); // (140 × 6 + 155 × 4) / 10
+  assert.equal(stats.maxHeartRate, 160);
+  assert.equal(stats.lapCount, 2);
+  assert.ok(Math.abs(stats.avgSpeed - 0.032 / 10 * 3600) < 1e-9);
+});
+
+test('malformed TCX and TCX without an activity are reported as errors', async () => {
+  const noActivity = await processFile(Buffer.from('<TrainingCenterDatabase><Activities/></TrainingCenterDatabase>'), 'empty.tcx');
+  assert.equal(noActivity.error, 'No activity found in TCX file');
+  const broken = await processFile(Buffer.from('<TrainingCenterDatabase><Activities>'), 'broken.tcx');
+  assert.ok(broken.error);
+});
+
+// Count XML parses while fn runs
+async function countXMLParses(fn) {
+  const { parseFromString } = DOMParser.prototype;
+  let count = 0;
+  DOMParser.prototype.parseFromString = function (...args) {
+    count++;
+    return parseFromString.apply(this, args);
+  };
+  try {
+    return { result: await fn(), count };
+  } finally {
+    DOMParser.prototype.parseFromString = parseFromString;
+  }
+}
+
+test('gpxTracks=split gives one activity per track from a single parse', async () => {
+  const { result: { activities }, count } = await countXMLParses(() =>
+    parseActivities(makeMultiTrackGPX(), 'session.gpx', { gpxTracks: 'split' })
+  );
+
+  assert.equal(count, 1);
+  assert.deepEqual(activities.map(activity => activity.filename), [
+    'session [Warm up].gpx',
+    'session [Intervals].gpx',
+    'session [Track 3].gpx'
+  ]);
+  activities.forEach((activity, trackIndex) => {
+    assert.equal(activity.points.length, 20);
+    assert.equal(activity.points[0].ele, 100 + trackIndex);
+    assert.deepEqual(activity.source, {
+      sourceFilename: 'session.gpx',
+      trackIndex,
+      trackName: ['Warm up', 'Intervals', null][trackIndex]
+    });
+  });
+});
+
+test('gpxTracks=split keeps single-track files as one activity', async () => {
+  const single = Buffer.from('<gpx><trk><trkseg><trkpt lat="51" lon="0"/></trkseg></trk></gpx>');
+  const { activities } = await parseActivities(single, 'one.gpx', { gpxTracks: 'split' });
+  assert.equal(activities.length, 1);
+  assert.equal(activities[0].filename, 'one.gpx');
+  assert.equal(activities[0].source, undefined);
+});
+
+const readFixture = name => fs.readFileSync(path.join(__dirname, 'data', name));
+
+test('a single-session non-running FIT is skipped like a multisport one', async () => {
+  const cycling = await parseActivities(readFixture('cycling.fit'), 'ride.fit');
+  assert.equal(cycling.activities.length, 0);
+  assert.equal(cycling.skippedSessions.length, 1);
+  assert.equal(cycling.skippedSessions[0].filename, 'ride.fit');
+  assert.equal(cycling.skippedSessions[0].sport, 'cycling');
+
+  const all = await parseActivities(readFixture('cycling.fit'), 'ride.fit', { fitSessions: 'all' });
+  assert.equal(all.activities.length, 1);
+  assert.equal(all.activities[0].metadata.isRunning, false);
+
+  const running = await parseActivities(readFixture('running.fit'), 'run.fit');
+  assert.equal(running.activities.length, 1);
+  assert.equal(running.skippedSessions.length, 0);
+  assert.equal(running.activities[0].points.length, 60);
+  assert.equal(running.activities[0].laps.length, 2);
+});
+
+test('multisport FIT files give one activity per running session', async () => {
+  const { activities, skippedSessions } = await parseActivities(readFixture('brick.fit'), 'brick.fit');
+  assert.deepEqual(activities.map(activity => activity.filename), ['brick [Session 2 running].fit']);
+  assert.deepEqual(activities[0].source, { sourceFilename: 'brick.fit', sessionIndex: 1 });
+  assert.equal(activities[0].points.length, 60);
+  assert.deepEqual(skippedSessions.map(session => session.sport), ['cycling']);
+});
+
+test('FIT parsing does not log every file', async t => {
+  const log = t.mock.method(console, 'log', () => {});
+  await parseActivities(readFixture('running.fit'), 'run.fit');
+  assert.equal(log.mock.callCount(), 0);
+});
+
+// One point per extension schema: Garmin TrackPointExtension + PowerExtension, Cluetrust gpxdata, Strava bare tags
+const EXTENSIONS_GPX = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1"
+  xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1"
+  xmlns:gpxpx="http://www.garmin.com/xmlschemas/PowerExtension/v1"
+  xmlns:gpxdata="http://www.cluetrust.com/XML/GPXDATA/1/0">
+  <trk><trkseg>
+    <trkpt lat="51.5" lon="-0.1"><ele>100</ele><time>2024-05-01T08:00:00Z</time>
+      <extensions>
+        <gpxpx:PowerExtension><gpxpx:PowerInWatts>260</gpxpx:PowerInWatts></gpxpx:PowerExtension>
+        <gpxtpx:TrackPointExtension><gpxtpx:atemp>18.5</gpxtpx:atemp><gpxtpx:hr>141</gpxtpx:hr><gpxtpx:cad>88</gpxtpx:cad></gpxtpx:TrackPointExtension>
+      </extensions>
+    </trkpt>
+    <trkpt lat="51.5001" lon="-0.1"><ele>100</ele><time>2024-05-01T08:00:03Z</time>
+      <extensions><gpxdata:hr>143</gpxdata:hr><gpxdata:cadence>89</gpxdata:cadence><gpxdata:temp>18</gpxdata:temp></extensions>
+    </trkpt>
+    <trkpt lat="51.5002" lon="-0.1"><ele>100</ele><time>2024-05-01T08:00:06Z</time>
+      <extensions><heartrate>145</heartrate><cadence>90</cadence><power>255</power></extensions>
+    </trkpt>
+    <trkpt lat="51.5003" lon="-0.1"><ele>100</ele><time>2024-05-01T08:00:09Z</time></trkpt>
+  </trkseg></trk>
+</gpx>`;
+
+test('GPX extensions give route points heart rate, cadence, temperature and power', async () => {
+  const { points } = await parseActivity(Buffer.from(EXTENSIONS_GPX), 'run.gpx');
+
+  assert.deepEqual(
+    points.map(({ heartRate, cadence, temperature, power }) => ({ heartRate, cadence, temperature, power })),
+    [
+      { heartRate: 141, cadence: 88, temperature: 18.5, power: 260 },
+      { heartRate: 143, cadence: 89, temperature: 18, power: null },
+      { heartRate: 145, cadence: 90, temperature: null, power: 255 },
+      { heartRate: null, cadence: null, temperature: null, power: null }
+    ]
+  );
+});
+
+test('GPX uploads with heart rate get per-bin HR stats', async () => {
+  const { results: [result] } = await analyzeUploadedFile({ buffer: Buffer.from(EXTENSIONS_GPX), originalname: 'run.gpx' }, 50, 'minetti', getBinningOptions());
+
+  assert.equal(result.hasHeartRateData, true);
+  assert.equal(result.bins[0].avgHeartRate, 143);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { analyzeUploadedFile } = require('../activityAnalysis');
+const { getGradeAdjustmentModel } = require('../Coefficients');
+const { getSmoothingOptions } = require('../elevationSmoothing');
+const { getBinningOptions, makeGapGPX, makeMultiTrackGPX } = require('./fixtures');
+
+async function analyze(overrides) {
+  const { results } = await analyzeUploadedFile({ buffer: makeGapGPX(), originalname: 'gap.gpx' }, 50, 'minetti', getBinningOptions(overrides));
+  return results[0];
+}
+
+test('smoothed elevation gain/loss skip points without elevation', async () => {
+  const raw = await analyze();
+  const smoothed = await analyze({ smoothing: getSmoothingOptions({ method: 'moving-average' }) });
+
+  assert.equal(raw.elevationLoss, 0);
+  assert.equal(smoothed.elevationLoss, 0);
+  // Not the 0m drop and climb back: at most the 25m the route actually climbs
+  assert.ok(raw.elevationGain > 0 && raw.elevationGain <= 25, `raw gain ${raw.elevationGain}`);
+  assert.ok(smoothed.elevationGain > 0 && smoothed.elevationGain <= 25, `smoothed gain ${smoothed.elevationGain}`);
+});
+
+test('regression gradients leave out points without elevation', async () => {
+  const { bins } = await analyze({ gradientMethod: 'regression' });
+  // Bins mixing points with and without elevation fit the 2.5% climb through the ones that have it
+  const mixed = bins.filter(bin => {
+    let withEle = 0;
+    for (let i = bin.startIdx; i <= bin.endIdx; i++) if (i < 40 || i >= 60) withEle++;
+    return withEle >= 2 && withEle <= bin.endIdx - bin.startIdx;
+  });
+  assert.ok(mixed.length > 0);
+  mixed.forEach(bin => {
+    assert.ok(Math.abs(bin.gradient - 2.5) < 0.1, `bin ${bin.startIdx}-${bin.endIdx}: ${bin.gradient}%`);
+  });
+});
+
+test('points without device or DEM elevation are not binned at 0m', async () => {
+  const result = await analyze();
+
+  result.bins.forEach(bin => {
+    assert.ok(Math.abs(bin.gradient - 2.5) < 0.1, `bin ${bin.startIdx}-${bin.endIdx}: ${bin.gradient}%`);
+    assert.ok(bin.estimatedPower < 500, `bin ${bin.startIdx}-${bin.endIdx}: ${bin.estimatedPower} W`);
+  });
+  assert.equal(result.elevationGain, 25);
+  assert.equal(result.elevationLoss, 0);
+  assert.equal(result.elevationCorrection.interpolatedPoints, 20);
+});
+
+test('a split multi-track GPX is analysed as one result per track', async () => {
+  const { results } = await analyzeUploadedFile(
+    { buffer: makeMultiTrackGPX(), originalname: 'session.gpx' }, 50, 'minetti', getBinningOptions({ gpxTracks: 'split' })
+  );
+
+  assert.deepEqual(results.map(result => [result.sourceFilename, result.trackIndex, result.trackName]), [
+    ['session.gpx', 0, 'Warm up'],
+    ['session.gpx', 1, 'Intervals'],
+    ['session.gpx', 2, null]
+  ]);
+  results.forEach(result => assert.equal(result.routePointCount, 20));
+});
+
+test('treadmill runs are binned by device distance with elevation from the incline', async () => {
+  // 600 records at 3 m/s without GPS; incline 0% for the first 1000m, then 5%
+  const file = { buffer: fs.readFileSync(path.join(__dirname, 'data', 'treadmill.fit')), originalname: 'treadmill.fit' };
+  const { results: [result] } = await analyzeUploadedFile(file, 100, 'minetti', getBinningOptions());
+
+  assert.equal(result.pointsWithoutPosition, 600);
+  const binned = result.bins.reduce((sum, bin) => sum + bin.distance, 0);
+  assert.ok(Math.abs(binned - 1797) < 1, `binned ${binned} m`);
+  assert.equal(result.bins[0].gradient, 0);
+  assert.equal(result.bins[result.bins.length - 2].gradient, 5);
+
+  // GPS-only distance has nothing to bin
+  const { results: [gpsOnly] } = await analyzeUploadedFile(file, 100, 'minetti', getBinningOptions({ distanceSource: 'gps' }));
+  assert.equal(gpsOnly.bins.length, 0);
+});
+
+test('file stats carry grade adjusted pace and equivalent flat distance from the chosen model', async () => {
+  // Steady 2.5% climb, 990 m at 5:00/km
+  const file = { buffer: makeGapGPX(() => true), originalname: 'climb.gpx' };
+  const analyses = await Promise.all(['minetti', 'quadratic'].map(model =>
+    analyzeUploadedFile(file, 100, getGradeAdjustmentModel(model), getBinningOptions())
+  ));
+  const [minetti, quadratic] = analyses.map(({ results }) => results[0]);
+
+  [minetti, quadratic].forEach(result => {
+    assert.ok(result.equivalentFlatDistance > result.distance, `${result.equivalentFlatDistance} km flat for ${result.distance} km`);
+    assert.ok(result.gradeAdjustedPace < 5, `GAP ${result.gradeAdjustedPace}`);
+    const flatPace = (result.binSummary.totalMovingTime / 60) / result.binSummary.equivalentFlatDistance;
+    assert.ok(Math.abs(result.gradeAdjustedPace - flatPace) < 0.02);
+  });
+  assert.notEqual(minetti.equivalentFlatDistance, quadratic.equivalentFlatDistance);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { exportAnnotatedActivity } = require('../activityExport');
+const { parseActivity } = require('../GPXhelpers');
+const { getBinningOptions, makeGapGPX, makeMultiTrackGPX } = require('./fixtures');
+
+const file = { buffer: makeMultiTrackGPX(), originalname: 'session.gpx' };
+
+test('gpxTracks=split lets activityIndex pick a track of a multi-track GPX', async () => {
+  const options = getBinningOptions({ gpxTracks: 'split' });
+  const { filename, content } = await exportAnnotatedActivity(file, 'gpx', 50, 'minetti', options, 1);
+
+  assert.equal(filename, 'session [Intervals].rungrade.gpx');
+  assert.equal(content.match(/<trkpt /g).length, 20);
+  assert.ok(content.includes('<ele>101</ele>'));
+
+  await assert.rejects(
+    exportAnnotatedActivity(file, 'gpx', 50, 'minetti', options, 3),
+    /Activity 3 not found \(file has 3\)/
+  );
+});
+
+test('without gpxTracks=split only the first track is exported', async () => {
+  const { content } = await exportAnnotatedActivity(file, 'gpx', 50, 'minetti', getBinningOptions(), 0);
+  assert.equal(content.match(/<trkpt /g).length, 20);
+  assert.ok(content.includes('<ele>100</ele>'));
+  await assert.rejects(exportAnnotatedActivity(file, 'gpx', 50, 'minetti', getBinningOptions(), 1), /Activity 1 not found/);
+});
+
+// All values of one rungrade:* extension, in document order
+function getExtensionValues(content, name) {
+  return [...content.matchAll(new RegExp(`<rungrade:${name}>([^<]*)</rungrade:${name}>`, 'g'))].map(match => match[1]);
+}
+
+test('annotated GPX keeps the recording and adds gradient, pace and GAP per point and a waypoint per bin', async () => {
+  // 100 points, 10 m / 3 s apart on a steady 2.5% climb
+  const climb = { buffer: makeGapGPX(() => true), originalname: 'climb.gpx' };
+  const { filename, content } = await exportAnnotatedActivity(climb, 'gpx', 100, 'minetti', getBinningOptions(), 0);
+
+  assert.equal(filename, 'climb.rungrade.gpx');
+  assert.equal(content.match(/<trkpt /g).length, 100);
+
+  const trkpts = content.slice(content.indexOf('<trk>'));
+  getExtensionValues(trkpts, 'gradient').forEach(gradient => assert.ok(Math.abs(gradient - 2.5) < 0.05, `gradient ${gradient}`));
+  const paces = getExtensionValues(trkpts, 'pace').map(Number);
+  const gaps = getExtensionValues(trkpts, 'gap').map(Number);
+  paces.forEach(pace => assert.ok(Math.abs(pace - 5) < 0.01, `pace ${pace}`));
+  gaps.forEach((gap, i) => assert.ok(gap < paces[i])); // uphill: GAP is faster than the actual pace
+  const binIndexes = [...new Set(getExtensionValues(trkpts, 'bin'))];
+  assert.ok(binIndexes.length > 5);
+  assert.deepEqual(binIndexes, binIndexes.map((_, i) => String(i)));
+  assert.equal(content.match(/<wpt /g).length, binIndexes.length);
+
+  // Other tools read it back as the same activity
+  const reparsed = await parseActivity(Buffer.from(content), filename);
+  const original = await parseActivity(climb.buffer, climb.originalname);
+  assert.equal(reparsed.points.length, 100);
+  reparsed.points.forEach((point, i) => {
+    assert.equal(point.lat, original.points[i].lat);
+    assert.equal(point.ele, original.points[i].ele);
+    assert.equal(point.time.getTime(), original.points[i].time.getTime());
+  });
+});
+
+test('treadmill runs export as TCX only, with device distance and no positions', async () => {
+  const treadmill = { buffer: fs.readFileSync(path.join(__dirname, 'data', 'treadmill.fit')), originalname: 'treadmill.fit' };
+  await assert.rejects(
+    exportAnnotatedActivity(treadmill, 'gpx', 100, 'minetti', getBinningOptions(), 0),
+    /no GPS positions to write as GPX; export it as TCX instead/
+  );
+
+  const { filename, content } = await exportAnnotatedActivity(treadmill, 'tcx', 100, 'minetti', getBinningOptions(), 0);
+  assert.equal(filename, 'treadmill.rungrade.tcx');
+  assert.equal(content.match(/<Trackpoint>/g).length, 600);
+  assert.equal(content.match(/<Position>/g), null);
+  assert.equal(content.match(/<Lap /g).length, 2);
+  assert.equal(content.match(/<rungrade:binStart>/g).length, 18);
+
+  const reparsed = await parseActivity(Buffer.from(content), filename);
+  assert.equal(reparsed.points.length, 600);
+  assert.equal(reparsed.points[599].distance, 1797); // 599 records of 3 m after the first
+});
+
+test('unknown export formats are rejected', async () => {
+  await assert.rejects(exportAnnotatedActivity(file, 'kml', 50, 'minetti', getBinningOptions(), 0), /Unknown export format 'kml'/);
+});
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBatchJobStore, startBatchJob, cancelBatchJob } = require('../batchJobs');
+const { getAnalysisPool } = require('../workerPool');
+const { getGradeAdjustmentModel } = require('../Coefficients');
+const { getBinningOptions, makeGapGPX } = require('./fixtures');
+
+const CONFIG = { binLength: 50, gapModel: null, binningOptions: { gpxTracks: 'first' } };
+const FILE = { originalname: 'run.gpx', buffer: Buffer.from('<gpx></gpx>') };
+
+['memory', 'disk'].forEach(storage => {
+  test(`${storage}: cancelling before the run marks the job processing keeps it cancelled`, async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rungrade-batch-test-'));
+    const store = createBatchJobStore({ storage, directory });
+    try {
+      const job = await store.create([FILE], CONFIG);
+      const run = startBatchJob(store, job.id);
+      const cancelled = await cancelBatchJob(store, job.id);
+      await run.done;
+
+      assert.equal(cancelled.status, 'cancelled');
+      assert.equal((await store.get(job.id)).status, 'cancelled');
+
+      const events = (await store.getEvents(job.id)).map(entry => entry.event.type);
+      assert.deepEqual(events, ['cancelled']);
+    } finally {
+      store.close();
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
+
+// Analysed files leave the shared worker pool running
+test.after(() => getAnalysisPool().destroy());
+
+test('batch events are incremental, numbered and resumable from any id', async () => {
+  const store = createBatchJobStore({ storage: 'memory' });
+  try {
+    const files = ['a.gpx', 'b.gpx'].map(originalname => ({ originalname, buffer: makeGapGPX() }));
+    const job = await store.create(files, { binLength: 50, gapModel: getGradeAdjustmentModel('minetti'), binningOptions: getBinningOptions() });
+    const run = startBatchJob(store, job.id);
+    const live = [];
+    run.emitter.on('event', entry => live.push(entry));
+    await run.done;
+
+    const logged = await store.getEvents(job.id);
+    assert.deepEqual(logged.map(entry => entry.id), logged.map((_, i) => i + 1));
+    assert.deepEqual(live, logged);
+
+    // Each file's results go out once, in its own event; ticks and the final event carry none
+    const fileResults = logged.filter(entry => entry.event.type === 'file-result');
+    assert.deepEqual(fileResults.map(entry => entry.event.results.map(result => result.filename)).sort(), [['a.gpx'], ['b.gpx']]);
+    logged.filter(entry => entry.event.type !== 'file-result').forEach(({ event }) => {
+      assert.equal(event.results, undefined);
+      assert.equal(event.resultsSoFar, undefined);
+      assert.equal(event.errorsSoFar, undefined);
+    });
+    assert.equal(logged[logged.length - 1].event.type, 'complete');
+    assert.equal(logged[logged.length - 1].event.successfulFiles, 2);
+
+    // A client reconnecting with Last-Event-ID gets only what it missed
+    const resumed = await store.getEvents(job.id, 2);
+    assert.deepEqual(resumed, logged.slice(2));
+  } finally {
+    store.close();
+  }
+});
+
+['memory', 'disk'].forEach(storage => {
+  test(`${storage}: jobs expire once idle for the TTL; updates push expiry back`, async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rungrade-batch-test-'));
+    const store = createBatchJobStore({ storage, directory, ttlMs: 400 });
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+    try {
+      const kept = await store.create([FILE], CONFIG);
+      const idle = await store.create([FILE], CONFIG);
+      assert.equal(kept.status, 'pending');
+      assert.deepEqual(kept.files, [{ originalname: 'run.gpx', size: FILE.buffer.length }]);
+
+      await wait(240);
+      await store.update(kept.id, { progress: { ...kept.progress, filesProcessed: 1 } });
+      await wait(240);
+
+      await store.sweep(); // the store's own sweep timer may have got there first
+      assert.equal(await store.get(idle.id), null);
+      assert.equal((await store.get(kept.id)).progress.filesProcessed, 1);
+
+      await wait(440);
+      assert.equal(await store.get(kept.id), null);
+      assert.equal(await store.get('not-a-job-id'), null);
+    } finally {
+      store.close();
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
+
+test('disk: jobs and their files survive a restart', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rungrade-batch-test-'));
+  const before = createBatchJobStore({ storage: 'disk', directory });
+  const after = createBatchJobStore({ storage: 'disk', directory });
+  try {
+    const job = await before.create([FILE], CONFIG);
+    assert.equal((await after.get(job.id)).status, 'pending');
+    const [file] = await after.getFiles(job.id);
+    assert.equal(file.originalname, 'run.gpx');
+    assert.equal(file.buffer.toString(), FILE.buffer.toString());
+  } finally {
+    before.close();
+    after.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('cancelling a finished job deletes it', async () => {
+  const store = createBatchJobStore({ storage: 'memory' });
+  try {
+    const job = await store.create([FILE], CONFIG);
+    await store.update(job.id, { status: 'complete' });
+    assert.deepEqual(await cancelBatchJob(store, job.id), { id: job.id, status: 'deleted' });
+    assert.equal(await store.get(job.id), null);
+    assert.equal(await cancelBatchJob(store, job.id), null);
+  } finally {
+    store.close();
+  }
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('stream');
+const { getExportOptions, writeExport } = require('../dataExport');
+
+async function exportText(dataset, analysis, options) {
+  let text = '';
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      text += chunk;
+      callback();
+    }
+  });
+  await writeExport(stream, dataset, analysis, getExportOptions(options));
+  return text.replace(/^﻿/, '').trim().split(/\r?\n/);
+}
+
+const ANALYSIS = {
+  reviewedResults: [{
+    filename: '=HYPERLINK("http://example.com")',
+    bins: [{ distance: 50.123456789, elevationChange: 1.25, gradient: 2.49, timeInSeconds: 15, movingTime: 15, pace_min_per_km: 4.98765432, adjustmentFactor: 1.08 }]
+  }],
+  analyses: {
+    gradientPace: {
+      buckets: [
+        { label: '-10 to -5%', min: -10, max: -5, binCount: 1, totalTime: 15, avgPace: 5 },
+        { label: '-5 to 0%', min: -5, max: 0, binCount: 1, totalTime: 15, avgPace: 5 },
+        { label: '+cmd|\' /C calc\'!A0', min: 0, max: 5, binCount: 1, totalTime: 15, avgPace: 5 }
+      ]
+    }
+  }
+};
+
+test('excel export only guards text that could run as a formula', async () => {
+  const rows = await exportText('gradient-pace', ANALYSIS, { format: 'excel' });
+  assert.ok(rows[1].startsWith('-10 to -5%,'));
+  assert.ok(rows[2].startsWith('-5 to 0%,'));
+  assert.ok(rows[3].startsWith('\'+cmd|'));
+
+  const [, binRow] = await exportText('bins', ANALYSIS, { format: 'excel' });
+  assert.ok(binRow.startsWith('"\'=HYPERLINK('));
+});
+
+test('imperial lengths and paces are rounded', async () => {
+  const [header, row] = await exportText('bins', ANALYSIS, { format: 'csv', units: 'imperial' });
+  const columns = header.split(',');
+  const values = row.split(','); // no cell here contains a comma
+  const value = name => values[columns.indexOf(name)];
+
+  assert.equal(value('distance_ft'), '164.45');
+  assert.equal(value('elevation_change_ft'), '4.1');
+  assert.equal(value('pace_min_per_mi'), '8.0269');
+});
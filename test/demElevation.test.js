@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getDemElevation, correctElevation, interpolateMissingElevation, getTileName } = require('../demElevation');
+const { smoothElevation } = require('../elevationSmoothing');
+
+const TILE_SIZE = 101;
+
+// Tile whose elevation rises 1m per column eastwards (100m at the west edge), optional void cells
+function writeTile(directory, name, voids = []) {
+  const data = Buffer.alloc(TILE_SIZE * TILE_SIZE * 2);
+  for (let row = 0; row < TILE_SIZE; row++) {
+    for (let col = 0; col < TILE_SIZE; col++) {
+      const isVoid = voids.some(([r, c]) => r === row && c === col);
+      data.writeInt16BE(isVoid ? -32768 : 100 + col, (row * TILE_SIZE + col) * 2);
+    }
+  }
+  fs.writeFileSync(path.join(directory, `${name}.hgt`), data);
+}
+
+function makeDemDirectory(voids) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dem-test-'));
+  writeTile(directory, 'N51W001', voids);
+  return directory;
+}
+
+test('getTileName follows the SRTM south-west corner convention', () => {
+  assert.equal(getTileName(51.5, -0.1), 'N51W001');
+  assert.equal(getTileName(-33.9, 18.4), 'S34E018');
+  assert.equal(getTileName(0.5, 0.5), 'N00E000');
+});
+
+test('getDemElevation interpolates bilinearly between tile cells', async t => {
+  const directory = makeDemDirectory();
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  // lon -0.5 is halfway across the tile: column 50 → 150m; between columns it is linear
+  assert.equal(await getDemElevation(51.5, -0.5, directory), 150);
+  assert.ok(Math.abs((await getDemElevation(51.25, -0.995, directory)) - 100.5) < 1e-9);
+  assert.equal(await getDemElevation(52.5, -0.5, directory), null); // N52W001 is not there
+});
+
+test('void cells are left out of the interpolation', async t => {
+  const directory = makeDemDirectory([[50, 50]]);
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  // Centre of cells (50..51, 49..50) with (50, 50) void: the three valid corners (149, 149, 150) share the weight
+  const ele = await getDemElevation(51.495, -0.505, directory);
+  assert.ok(Math.abs(ele - 448 / 3) < 1e-9, `got ${ele}`);
+});
+
+// Points heading east across the test tile; ele / hasElevation from the device
+function makePoints(count, hasElevation = () => true) {
+  return Array.from({ length: count }, (_, i) => {
+    const lon = -0.5 + i * 0.0001;
+    return hasElevation(i)
+      ? { lat: 51.5, lon, ele: 150 + i * 0.01, hasElevation: true, segment: 0 }
+      : { lat: 51.5, lon, ele: 0, hasElevation: false, segment: 0 };
+  });
+}
+
+test('fill mode marks DEM-filled points as having elevation so later stages use them', async t => {
+  const directory = makeDemDirectory();
+  process.env.DEM_DIRECTORY = directory;
+  t.after(() => {
+    delete process.env.DEM_DIRECTORY;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const points = makePoints(60, i => i < 20 || i >= 40);
+  const { points: corrected, correction } = await correctElevation(points, { mode: 'fill' });
+  assert.equal(correction.correctedPoints, 20);
+  assert.equal(correction.interpolatedPoints, 0);
+  corrected.slice(20, 40).forEach(pt => {
+    assert.equal(pt.hasElevation, true);
+    assert.equal(pt.elevationSource, 'dem');
+    assert.equal(pt.deviceEle, null);
+  });
+
+  const { points: smoothed } = smoothElevation(corrected, { method: 'moving-average' });
+  assert.ok(smoothed.slice(20, 40).some((pt, i) => pt.ele !== corrected[20 + i].ele), 'filled points were not smoothed');
+});
+
+test('points with neither device nor DEM elevation are interpolated, not 0m', async () => {
+  const points = makePoints(60, i => i < 20 || i >= 40);
+  const { points: corrected, correction } = await correctElevation(points, { mode: 'none' });
+
+  assert.equal(correction.interpolatedPoints, 20);
+  assert.match(correction.warnings[0], /20 points .* interpolated/);
+  corrected.forEach((pt, i) => {
+    assert.equal(pt.hasElevation, true);
+    assert.ok(Math.abs(pt.ele - (150 + i * 0.01)) < 1e-6, `point ${i}: ${pt.ele}`);
+  });
+  assert.equal(corrected[30].elevationSource, 'interpolated');
+});
+
+test('interpolation holds the nearest value at segment ends and never crosses segments', () => {
+  const points = [
+    { lat: 51.5, lon: -0.5, ele: 0, hasElevation: false, segment: 0 },
+    { lat: 51.5, lon: -0.4999, ele: 120, hasElevation: true, segment: 0 },
+    { lat: 51.5, lon: -0.4998, ele: 0, hasElevation: false, segment: 0 },
+    { lat: 51.5, lon: -0.4997, ele: 0, hasElevation: false, segment: 1 },
+    { lat: 51.5, lon: -0.4996, ele: 0, hasElevation: false, segment: 1 }
+  ];
+  const { points: filled, interpolated, unresolved } = interpolateMissingElevation(points);
+
+  assert.deepEqual(filled.map(pt => pt.ele), [120, 120, 120, 0, 0]);
+  assert.equal(interpolated, 2);
+  assert.equal(unresolved, 2);
+  assert.equal(filled[3].hasElevation, false);
+  assert.equal(points[0].ele, 0); // input points are not mutated
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { smoothElevation, SMOOTHING_METHODS } = require('../elevationSmoothing');
+
+function makePoints(elevations, segmentOf = () => 0) {
+  return elevations.map((ele, i) => ({
+    lat: 51.5 + (i * 10) / 111195,
+    lon: -0.1,
+    ele,
+    hasElevation: true,
+    segment: segmentOf(i)
+  }));
+}
+
+const METHODS = SMOOTHING_METHODS.filter(method => method !== 'none');
+
+test('smoothing does not cross segment gaps', () => {
+  // Two flat segments at different heights (e.g. two tracks of a merged GPX)
+  const points = makePoints(Array.from({ length: 20 }, (_, i) => (i < 10 ? 100 : 300)), i => (i < 10 ? 0 : 1));
+
+  METHODS.forEach(method => {
+    const { points: smoothed } = smoothElevation(points, { method });
+    smoothed.forEach((pt, i) => {
+      assert.ok(Math.abs(pt.ele - (i < 10 ? 100 : 300)) < 1e-6, `${method} moved point ${i} to ${pt.ele}`);
+    });
+  });
+});
+
+test('points without elevation are not smoothed as sea level', () => {
+  const points = makePoints(new Array(15).fill(200));
+  points[7] = { ...points[7], ele: 0, hasElevation: false };
+
+  METHODS.forEach(method => {
+    const { points: smoothed } = smoothElevation(points, { method });
+    smoothed.forEach((pt, i) => {
+      if (i === 7) {
+        assert.equal(pt.ele, 0, `${method} changed the point without elevation`);
+      } else {
+        assert.ok(Math.abs(pt.ele - 200) < 1e-6, `${method} moved point ${i} to ${pt.ele}`);
+      }
+    });
+  });
+});
@@ -0,0 +1,64 @@
+// Shared test fixtures (not a test file itself)
+const { getCorrectionOptions } = require('../demElevation');
+const { getSmoothingOptions } = require('../elevationSmoothing');
+const { getPauseOptions } = require('../pauseDetection');
+const { getGeoJSONOptions } = require('../routeGeoJSON');
+const { getHeartRateOptions } = require('../heartRateAnalysis');
+const { getPowerOptions } = require('../runningPower');
+
+// Same shape as server.js getRequestBinningOptions with its defaults
+function getBinningOptions(overrides = {}) {
+  return {
+    gpxTracks: 'first',
+    fitSessions: 'running',
+    binMode: 'distance',
+    binDuration: 30,
+    gradeThreshold: 3,
+    gradientMethod: 'endpoints',
+    binBoundary: 'overshoot',
+    distanceSource: 'auto',
+    elevationCorrection: getCorrectionOptions({}),
+    pauseDetection: getPauseOptions({}),
+    smoothing: getSmoothingOptions({}),
+    geojson: getGeoJSONOptions({}),
+    heartRate: getHeartRateOptions({}),
+    power: getPowerOptions({}),
+    ...overrides
+  };
+}
+
+// 100 points north at ~3.33 m/s, 10 m apart, climbing 0.25 m per point; no <ele> on points 40-59
+function makeGapGPX(hasEle = i => i < 40 || i >= 60) {
+  const start = Date.parse('2024-05-01T08:00:00Z');
+  const trkpts = Array.from({ length: 100 }, (_, i) => {
+    const ele = hasEle(i) ? `<ele>${(100 + i * 0.25).toFixed(2)}</ele>` : '';
+    const time = new Date(start + i * 3000).toISOString();
+    return `<trkpt lat="${(51.5 + (i * 10) / 111195).toFixed(7)}" lon="-0.1">${ele}<time>${time}</time></trkpt>`;
+  });
+  return Buffer.from(
+    '<?xml version="1.0"?><gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">' +
+    `<trk><name>Gap</name><trkseg>${trkpts.join('')}</trkseg></trk></gpx>`
+  );
+}
+
+// Three tracks of 20 points heading north, each starting 1 km further on; plus a route that is never analysed
+function makeMultiTrackGPX() {
+  const tracks = ['Warm up', 'Intervals', null].map((name, t) => {
+    const trkpts = Array.from({ length: 20 }, (_, i) => {
+      const time = new Date(Date.parse('2024-05-01T08:00:00Z') + (t * 20 + i) * 3000).toISOString();
+      return `<trkpt lat="${(51.5 + (t * 1000 + i * 10) / 111195).toFixed(7)}" lon="-0.1"><ele>${100 + t}</ele><time>${time}</time></trkpt>`;
+    });
+    return `<trk>${name ? `<name>${name}</name>` : ''}<trkseg>${trkpts.join('')}</trkseg></trk>`;
+  });
+  return Buffer.from(
+    '<?xml version="1.0"?><gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">' +
+    '<metadata><name>Session</name></metadata><rte><rtept lat="51" lon="0"/></rte>' +
+    `${tracks.join('')}</gpx>`
+  );
+}
+
+module.exports = {
+  getBinningOptions,
+  makeGapGPX,
+  makeMultiTrackGPX
+};
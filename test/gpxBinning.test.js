@@ -0,0 +1,305 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const gpxBinning = require('../gpxBinning');
+
+// Straight line north at ~3.33 m/s, one point every 3 s (10 m); ele(i) gives the elevation profile
+function makeRoute(count, ele) {
+  const start = Date.parse('2024-05-01T08:00:00Z');
+  return Array.from({ length: count }, (_, i) => ({
+    lat: 51.5 + (i * 10) / 111195,
+    lon: -0.1,
+    ele: ele(i),
+    time: new Date(start + i * 3000),
+    segment: 0
+  }));
+}
+
+test('getResultsSummary totals elevation from each result, not from bin deltas', () => {
+  // Rolling terrain: bins net out most of each climb, the per-file totals count all of it
+  const results = [
+    { ele: i => 100 + 5 * Math.sin(i / 2), elevationGain: 406, elevationLoss: 406 },
+    { ele: i => 100 + i * 0.5, elevationGain: 195, elevationLoss: 195 }
+  ].map(({ ele, elevationGain, elevationLoss }) => {
+    const bins = gpxBinning.getAnalysisBins(makeRoute(200, ele), 50);
+    return { elevationGain, elevationLoss, bins, binSummary: gpxBinning.getBinSummary(bins) };
+  });
+
+  const totals = gpxBinning.getResultsSummary(results);
+  assert.equal(totals.fileCount, 2);
+  assert.equal(totals.elevationGain, results[0].elevationGain + results[1].elevationGain);
+  assert.equal(totals.elevationLoss, results[0].elevationLoss + results[1].elevationLoss);
+  assert.notEqual(totals.elevationLoss, results[0].binSummary.totalElevationLoss + results[1].binSummary.totalElevationLoss);
+});
+
+test('getResultsSummary skips results without bins', () => {
+  const bins = gpxBinning.getAnalysisBins(makeRoute(50, () => 100), 50);
+  const totals = gpxBinning.getResultsSummary([
+    { elevationGain: 12, elevationLoss: 8, bins, binSummary: gpxBinning.getBinSummary(bins) },
+    { elevationGain: 50, elevationLoss: 50, bins: [], binSummary: null }
+  ]);
+  assert.equal(totals.fileCount, 1);
+  assert.equal(totals.elevationGain, 12);
+  assert.equal(totals.elevationLoss, 8);
+});
+
+test('adjustedTime comes from the selected GAP model', () => {
+  const route = makeRoute(100, i => 100 + i); // 10% climb
+  const quadratic = gpxBinning.getAnalysisBins(route, 50, 'quadratic');
+  const minetti = gpxBinning.getAnalysisBins(route, 50, 'minetti');
+
+  quadratic.forEach((bin, i) => {
+    assert.ok(bin.adjustedTime > 0);
+    assert.ok(Math.abs(bin.adjustedTime - bin.movingTime / bin.adjustmentFactor) < 1e-2); // factor is rounded to 4 dp
+    assert.notEqual(bin.adjustedTime, minetti[i].adjustedTime);
+  });
+
+  // Re-applying a model to posted results recomputes it as well
+  const [reapplied] = gpxBinning.applyGradeAdjustmentModel([{ bins: quadratic }], 'minetti');
+  reapplied.bins.forEach((bin, i) => {
+    assert.ok(Math.abs(bin.adjustedTime - minetti[i].adjustedTime) < 1e-3);
+  });
+});
+
+test('targetTime is the grade adjusted distance at the given flat velocity; adjustedTime ignores it', () => {
+  const route = makeRoute(100, i => 100 + i);
+  const plain = gpxBinning.getAnalysisBins(route, 50, 'minetti');
+  const withVelocity = gpxBinning.getAnalysisBins(route, 50, 'minetti', 4);
+
+  withVelocity.forEach((bin, i) => {
+    assert.equal(bin.adjustedTime, plain[i].adjustedTime);
+    assert.equal(plain[i].targetTime, null);
+    assert.ok(Math.abs(bin.gradeAdjustedDistance - bin.distance * bin.adjustmentFactor) < 1e-2);
+    assert.ok(Math.abs(bin.targetTime - bin.gradeAdjustedDistance / 4) < 1e-9);
+  });
+
+  const [reapplied] = gpxBinning.applyGradeAdjustmentModel([{ bins: plain }], 'minetti', 4);
+  reapplied.bins.forEach((bin, i) => {
+    assert.ok(Math.abs(bin.targetTime - withVelocity[i].targetTime) < 1e-3); // posted bins carry the rounded gradient
+  });
+});
+
+test('fitGradeAdjustmentModel recovers the coefficients of noise-free bins', () => {
+  // pace / flat pace = 0.001g² + 0.03g + 1; the median -2..2% bin (0%) is the 5:00 base pace
+  const bins = [];
+  for (let gradient = -10; gradient <= 10; gradient++) {
+    bins.push({ gradient, distance: 50, pace_min_per_km: 5 * (0.001 * gradient ** 2 + 0.03 * gradient + 1) });
+  }
+
+  const fit = gpxBinning.fitGradeAdjustmentModel([{ bins }], 2);
+  assert.equal(fit.basePace, 5);
+  assert.equal(fit.sampleCount, 21);
+  [0.001, 0.03, 1].forEach((expected, i) => assert.ok(Math.abs(fit.coefficients[i] - expected) < 1e-9));
+  assert.equal(fit.rSquared, 1);
+  fit.residuals.forEach(residual => assert.ok(Math.abs(residual.residual) < 1e-4));
+});
+
+test('fitGradeAdjustmentModel weights bins by distance and reports too few bins', () => {
+  // Two slopes through the same gradients: the 10x longer bins pull the line onto theirs
+  const bins = [];
+  for (let gradient = -4; gradient <= 4; gradient++) {
+    bins.push({ gradient, distance: 500, pace_min_per_km: 5 * (1 + 0.04 * gradient) });
+    bins.push({ gradient, distance: 50, pace_min_per_km: 5 * (1 + 0.02 * gradient) });
+  }
+  const fit = gpxBinning.fitGradeAdjustmentModel([{ bins }], 1);
+  const slope = fit.coefficients[0];
+  assert.ok(Math.abs(slope - (0.04 * 500 + 0.02 * 50) / 550) < 1e-9);
+
+  const sparse = gpxBinning.fitGradeAdjustmentModel([{ bins: bins.slice(6, 10) }], 6);
+  assert.match(sparse.error, /Need at least 7 valid bins/);
+});
+
+test('getPaceByGradientChart keeps the open-ended buckets at the ends and reports median pace', () => {
+  const bin = (gradient, movingTime) => ({ gradient, distance: 100, timeInSeconds: movingTime, movingTime, pace_min_per_km: movingTime / 6 });
+  const chart = gpxBinning.getPaceByGradientChart([{
+    bins: [bin(40, 60), bin(3, 30), bin(-50, 45), bin(0, 30), bin(0, 30), bin(0, 60), bin(-3, 24)]
+  }]);
+
+  assert.deepEqual(chart.map(item => item.gradient), ['<=-35', '-3', '0', '3', '>=35']);
+
+  // 0%: three bins at 5:00, 5:00 and 10:00 per km - mean of the distance/time is 6:40, median 5:00
+  const flat = chart.find(item => item.gradient === '0');
+  assert.ok(Math.abs(flat.avgPace - 20 / 3) < 1e-9);
+  assert.equal(flat.medianPace, 5);
+  assert.equal(flat.medianPaceLabel, '5:00');
+
+  const analysis = gpxBinning.getGradeAdjustmentAnalysis([{ bins: [bin(0, 30), bin(0, 30), bin(0, 60)] }]);
+  assert.equal(analysis.adjustmentData[0].medianPace, 5);
+  assert.equal(analysis.basePaceMedian, 5);
+  assert.equal(analysis.adjustmentData[0].personalAdjustmentMedian, 1);
+  assert.equal(analysis.adjustmentData[0].personalAdjustment, 1.3333);
+});
+
+test('time bins close every binDuration seconds', () => {
+  const bins = gpxBinning.getAnalysisBins(makeRoute(101, () => 100), 50, null, null, { binMode: 'time', binDuration: 30 });
+  // 300 s at 3 s per point: ten 30 s bins, no partial bin left over
+  assert.equal(bins.length, 10);
+  bins.forEach(bin => {
+    assert.equal(bin.timeInSeconds, 30);
+    assert.ok(Math.abs(bin.distance - 100) < 0.01);
+  });
+});
+
+test('grade segments split where the gradient changes and keep steady stretches whole', () => {
+  // 500 m flat, then 500 m at 6%
+  const route = makeRoute(101, i => (i <= 50 ? 100 : 100 + (i - 50) * 0.6));
+  const bins = gpxBinning.getAnalysisBins(route, 100, null, null, { binMode: 'grade-segments', gradeThreshold: 3 });
+
+  const first = bins[0];
+  const last = bins[bins.length - 1];
+  assert.ok(bins.length < 10, `${bins.length} segments`);
+  assert.ok(Math.abs(first.gradient) < 0.5, `first segment ${first.gradient}%`);
+  assert.ok(Math.abs(last.gradient - 6) < 0.5, `last segment ${last.gradient}%`);
+  // The split lands within one binLength of the change of slope
+  const boundary = bins.find(bin => Math.abs(bin.gradient - 6) < 0.5).cumulativeDistance;
+  assert.ok(Math.abs(boundary - 500) <= 100, `split at ${boundary} m`);
+  bins.slice(0, -1).forEach(bin => assert.ok(bin.distance >= 100 - 1e-6));
+});
+
+test('distanceSource picks device or haversine distance per run', () => {
+  // GPS says 10m per point, the footpod 12m
+  const route = makeRoute(51, () => 100).map((pt, i) => ({ ...pt, distance: i * 12 }));
+  const total = source => gpxBinning.getCumulativeDistance(route, source)[50];
+
+  assert.ok(Math.abs(total('auto') - 500) < 0.01);
+  assert.ok(Math.abs(total('gps') - 500) < 0.01);
+  assert.equal(total('device'), 600);
+
+  // Without position 'auto' falls back to device distance, 'gps' has none
+  const indoor = route.map(pt => ({ ...pt, lat: null, lon: null }));
+  assert.equal(gpxBinning.getCumulativeDistance(indoor, 'auto')[50], 600);
+  assert.equal(gpxBinning.getCumulativeDistance(indoor, 'gps')[50], 0);
+});
+
+test('getHeartRateCostByGradientBins normalises beats per metre to flat running', () => {
+  const bin = (gradient, movingTime, avgHeartRate) => ({
+    gradient, distance: 100, movingTime, timeInSeconds: movingTime, pace_min_per_km: movingTime / 6, avgHeartRate
+  });
+  // Flat: 5:00/km at 150 bpm = 0.75 beats per metre. 10%: 10:00/km at 150, 160 and 200 bpm
+  const results = [{ bins: [bin(0, 30, 150), bin(1, 30, 150), bin(10, 60, 150), bin(10, 60, 160), bin(10, 60, 200), bin(10, 60)] }];
+
+  const mean = gpxBinning.getHeartRateCostByGradientBins(results, 5, 'mean');
+  assert.equal(mean.flatBinCount, 2);
+  assert.equal(mean.flatBeatsPerMetre, 0.75);
+  const climb = mean.points.find(point => point.gradient === 10);
+  assert.equal(climb.binCount, 3); // the bin without HR is left out
+  assert.equal(climb.heartRate, 170);
+  assert.equal(climb.medianHeartRate, 160);
+  assert.ok(Math.abs(climb.heartRateCost - 1.7 / 0.75) < 1e-9);
+  assert.equal(climb.paceAdjustment, 2);
+  assert.ok(Math.abs(climb.combinedAdjustment - Math.sqrt(2 * 1.7 / 0.75)) < 1e-9);
+
+  const median = gpxBinning.getHeartRateCostByGradientBins(results, 5, 'median');
+  assert.equal(median.points.find(point => point.gradient === 10).heartRate, 160);
+  assert.ok(Math.abs(median.points.find(point => point.gradient === 10).heartRateCost - 1.6 / 0.75) < 1e-9);
+});
+
+test('bins record where in the run they start', () => {
+  const bins = gpxBinning.getAnalysisBins(makeRoute(101, () => 100), 100);
+  let distance = 0;
+  let seconds = 0;
+  bins.forEach((bin, i) => {
+    assert.ok(Math.abs(bin.cumulativeDistance - distance) < 0.1, `bin ${i} at ${bin.cumulativeDistance} m`);
+    assert.ok(Math.abs(bin.cumulativeTime - seconds) < 0.1, `bin ${i} at ${bin.cumulativeTime} s`);
+    distance += bin.distance;
+    seconds += bin.timeInSeconds;
+  });
+  assert.ok(bins[bins.length - 1].cumulativeDistance > 0);
+});
+
+test('fatigue strata give one curve per distance quantile and the GAP decay rate', () => {
+  // 30 km of flat and 10% bins, both slowing 5% (in log terms) per 10 km
+  const bins = [];
+  for (let km = 0; km < 30; km++) {
+    const slowdown = Math.exp(0.05 * km / 10);
+    bins.push({ gradient: 0, distance: 500, cumulativeDistance: km * 1000, adjustmentFactor: 1, pace_min_per_km: 5 * slowdown });
+    bins.push({ gradient: 10, distance: 500, cumulativeDistance: km * 1000 + 500, adjustmentFactor: 1.5, pace_min_per_km: 7.5 * slowdown });
+  }
+  bins.forEach(bin => { bin.movingTime = bin.timeInSeconds = bin.pace_min_per_km * 30; });
+
+  const { fatigue } = gpxBinning.getGradeAdjustmentAnalysis([{ bins }], 'near-zero', null, {
+    fatigue: gpxBinning.getFatigueOptions({ by: 'distance', strata: 3 })
+  });
+
+  assert.equal(fatigue.by, 'distance');
+  assert.deepEqual(fatigue.strata.map(stratum => stratum.binCount), [20, 20, 20]);
+  assert.deepEqual(fatigue.strata.map(stratum => stratum.from), [0, 10000, 20000]);
+  assert.ok(fatigue.strata[0].basePace < fatigue.strata[1].basePace && fatigue.strata[1].basePace < fatigue.strata[2].basePace);
+  // Against its own flat pace each stratum sees the same 1.5x cost of the climb
+  fatigue.strata.forEach(stratum => {
+    assert.ok(Math.abs(stratum.adjustmentData.find(item => item.gradient === '10').stratumAdjustment - 1.5) < 1e-3);
+  });
+
+  // The climbs start 500 m after the flat bin they match, so the fit is a touch under 0.05
+  assert.ok(Math.abs(fatigue.fatigueDecay.coefficient - 0.05) < 1e-3, `decay ${fatigue.fatigueDecay.coefficient}`);
+  assert.equal(fatigue.fatigueDecay.unit, 'per 10 km');
+  assert.ok(Math.abs(fatigue.fatigueDecay.percentPerUnit - 5.13) < 0.1);
+
+  assert.equal(gpxBinning.getFatigueOptions({ by: 'none' }), null);
+  assert.throws(() => gpxBinning.getFatigueOptions({ by: 'distance', strata: 1 }), /between 2 and 10/);
+});
+
+test('bins double per-leg cadence to steps/min and derive stride length', () => {
+  const route = makeRoute(101, () => 100).map(pt => ({ ...pt, cadence: 85, fractionalCadence: 0.5 }));
+  const bins = gpxBinning.getAnalysisBins(route, 100);
+  bins.forEach(bin => {
+    assert.equal(bin.avgCadence, 171);
+    // 10 m per 3 s at 171 steps/min
+    assert.ok(Math.abs(bin.strideLength - 10 / (171 * 3 / 60)) < 1e-3, `stride ${bin.strideLength}`);
+  });
+
+  // Files already in steps/min are left alone; zero cadence while stopped is ignored
+  const stepsRoute = makeRoute(101, () => 100).map((pt, i) => ({ ...pt, cadence: i % 10 === 0 ? 0 : 170 }));
+  gpxBinning.getAnalysisBins(stepsRoute, 100).forEach(bin => assert.equal(bin.avgCadence, 170));
+
+  assert.equal(gpxBinning.getAnalysisBins(makeRoute(101, () => 100), 100)[0].avgCadence, null);
+});
+
+test('getCadenceByGradientChart weights cadence by moving time and orders by gradient', () => {
+  const bin = (gradient, avgCadence, movingTime, distance = 100) => ({ gradient, avgCadence, movingTime, timeInSeconds: movingTime, distance });
+  const chart = gpxBinning.getCadenceByGradientChart([{
+    bins: [bin(8, 180, 60), bin(8, 160, 20), bin(-40, 170, 20), bin(-6, 176, 25), bin(0, 170, 30), bin(1, null, 30)]
+  }]);
+
+  assert.deepEqual(chart.map(item => item.gradient), ['<=-35', '-6', '0', '8']);
+  const climb = chart.find(item => item.gradient === '8');
+  assert.equal(climb.binCount, 2);
+  assert.equal(climb.avgCadence, 175); // (180*60 + 160*20) / 80 s
+  assert.equal(climb.avgStrideLength, Number((200 / (175 * 80 / 60)).toFixed(3)));
+  // Shorter strides uphill than downhill
+  assert.ok(climb.avgStrideLength < chart.find(item => item.gradient === '-6').avgStrideLength);
+});
+
+test('interpolated boundaries give exact-length bins that index the original points', () => {
+  // Points 30 m / 9 s apart on a 5% climb: 990 m in all
+  const route = makeRoute(100, i => 100 + i * 0.5).filter((_, i) => i % 3 === 0);
+  const overshoot = gpxBinning.getAnalysisBins(route, 100);
+  const exact = gpxBinning.getAnalysisBins(route, 100, null, null, { binBoundary: 'interpolate' });
+
+  assert.ok(overshoot.every(bin => bin.distance > 100 || bin === overshoot[overshoot.length - 1]));
+  assert.equal(exact.length, 10);
+  exact.slice(0, -1).forEach(bin => {
+    assert.ok(Math.abs(bin.distance - 100) < 1e-6, `bin of ${bin.distance} m`);
+    assert.ok(Math.abs(bin.timeInSeconds - 30) < 1e-3, `bin of ${bin.timeInSeconds} s`);
+    assert.ok(Math.abs(bin.gradient - 5) < 0.01);
+  });
+  assert.ok(Math.abs(exact[9].distance - 90) < 0.01);
+
+  // startIdx / endIdx are the original points enclosing each bin
+  exact.forEach(bin => {
+    assert.ok(bin.endIdx < route.length);
+    assert.ok(bin.startIdx * 30 <= bin.cumulativeDistance + 1e-6);
+    assert.ok(bin.endIdx * 30 >= bin.cumulativeDistance + bin.distance - 1e-6);
+  });
+});
+
+test('a stop split by an interpolated boundary is shared between the two bins', () => {
+  // 30 s standing still inside a 30 m segment that crosses the 100 m boundary
+  const route = makeRoute(100, () => 100).filter((_, i) => i % 3 === 0).map(pt => ({ ...pt, time: new Date(pt.time) }));
+  for (let i = 4; i < route.length; i++) route[i].time = new Date(route[i].time.getTime() + 30000);
+  route[4].stoppedSeconds = 30;
+
+  const bins = gpxBinning.getAnalysisBins(route, 100, null, null, { binBoundary: 'interpolate' });
+  const stopped = bins.slice(0, 2).map(bin => bin.timeInSeconds - bin.movingTime);
+  // The 90-120 m segment is one third in the first bin and two thirds in the second
+  assert.ok(Math.abs(stopped[0] - 10) < 1e-3 && Math.abs(stopped[1] - 20) < 1e-3, `stopped ${stopped}`);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getHeartRateOptions,
+  getHeartRateAnalysis,
+  getAerobicDecoupling,
+  getCardiacDrift,
+  combineHeartRateAnalyses
+} = require('../heartRateAnalysis');
+const { getBinSummary, getResultsSummary } = require('../gpxBinning');
+
+function makeBin(avgHeartRate, { distance = 100, movingTime = 30, adjustmentFactor = 1 } = {}) {
+  return { distance, movingTime, timeInSeconds: movingTime, adjustmentFactor, avgHeartRate };
+}
+
+test('time in zones from max HR, heart rate reserve or LTHR', () => {
+  const bins = [110, 130, 150, 170, 190].map(hr => makeBin(hr, { movingTime: 60 }));
+
+  // Max HR 200: zone bounds at 120, 140, 160 and 180 bpm
+  const { timeInZones } = getHeartRateAnalysis(bins, { maxHR: 200 });
+  assert.deepEqual(timeInZones.map(zone => [zone.minHR, zone.maxHR, zone.seconds, zone.percent]), [
+    [null, 120, 60, 20],
+    [120, 140, 60, 20],
+    [140, 160, 60, 20],
+    [160, 180, 60, 20],
+    [180, null, 60, 20]
+  ]);
+
+  // Karvonen: 60% of a 50-200 reserve is 140 bpm
+  const hrr = getHeartRateAnalysis([makeBin(139), makeBin(141)], { zoneMethod: 'hrr', maxHR: 200, restingHR: 50 });
+  assert.equal(hrr.timeInZones[0].maxHR, 140);
+  assert.deepEqual(hrr.timeInZones.map(zone => zone.seconds), [30, 30, 0, 0, 0]);
+
+  // Without the reference heart rate there are no zones, but the rest of the analysis stays
+  const noLthr = getHeartRateAnalysis(bins, { zoneMethod: 'lthr' });
+  assert.equal(noLthr.timeInZones, null);
+  assert.ok(noLthr.cardiacDrift);
+});
+
+test('decoupling compares grade adjusted efficiency of the two halves', () => {
+  // Same pace, HR up from 150 to 165 in the second half: 1 - 150/165 = 9.09%
+  const drifting = getAerobicDecoupling([...Array(5).fill(150), ...Array(5).fill(165)].map(hr => makeBin(hr)));
+  assert.equal(drifting.decouplingPercent, 9.09);
+  assert.equal(drifting.aerobic, false);
+  assert.equal(drifting.firstHalf.binCount, 5);
+
+  // A slower but hillier second half at the same HR is not decoupling
+  const hilly = getAerobicDecoupling([
+    ...Array.from({ length: 5 }, () => makeBin(150)),
+    ...Array.from({ length: 5 }, () => makeBin(150, { movingTime: 40, adjustmentFactor: 4 / 3 }))
+  ]);
+  assert.ok(Math.abs(hilly.decouplingPercent) < 0.01);
+  assert.equal(hilly.aerobic, true);
+
+  assert.equal(getAerobicDecoupling([makeBin(150), makeBin(150), makeBin(150)]), null);
+});
+
+test('cardiac drift is the HR trend over moving time', () => {
+  // One bpm more every minute: 60 bpm per hour from 139.5 at the start (bins are placed at their midpoints)
+  const drift = getCardiacDrift(Array.from({ length: 10 }, (_, i) => makeBin(140 + i, { movingTime: 60 })));
+  assert.equal(drift.bpmPerHour, 60);
+  assert.equal(drift.startHeartRate, 139.5);
+  assert.equal(drift.percentPerHour, 43.01);
+
+  assert.equal(getCardiacDrift([makeBin(150), makeBin(150)]), null);
+});
+
+test('bin and batch summaries include the heart rate analysis', () => {
+  const steady = Array.from({ length: 10 }, () => makeBin(150, { movingTime: 60 }));
+  const rising = Array.from({ length: 10 }, (_, i) => makeBin(150 + i * 2, { movingTime: 60 }));
+  const options = { heartRate: getHeartRateOptions({ maxHR: 200 }) };
+
+  const summaries = [steady, rising].map(bins => getBinSummary(bins, options));
+  assert.equal(summaries[0].heartRate.decoupling.decouplingPercent, 0);
+  assert.equal(summaries[1].heartRate.cardiacDrift.bpmPerHour, 120);
+  assert.equal(getBinSummary([makeBin(null)], options).heartRate, null);
+
+  const totals = getResultsSummary([steady, rising].map((bins, i) => ({ bins, binSummary: summaries[i] })));
+  assert.equal(totals.heartRate.runCount, 2);
+  assert.equal(totals.heartRate.runsWithDecoupling, 2);
+  assert.equal(totals.heartRate.driftBpmPerHour, 60);
+  assert.equal(totals.heartRate.timeInZones.reduce((sum, zone) => sum + zone.seconds, 0), 1200);
+
+  assert.equal(combineHeartRateAnalyses([null]), null);
+});
+
+test('getHeartRateOptions rejects bad zones and references', () => {
+  assert.throws(() => getHeartRateOptions({ zoneMethod: 'vo2' }), /Unknown HR zone method 'vo2'/);
+  assert.throws(() => getHeartRateOptions({ zones: '70,60' }), /ascending/);
+  assert.throws(() => getHeartRateOptions({ maxHR: 150, restingHR: 160 }), /restingHR must be below maxHR/);
+  assert.deepEqual(getHeartRateOptions({ zones: '50,75' }).zones, [50, 75]);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectPauses, applyTimerEvents, getPauseOptions } = require('../pauseDetection');
+const gpxBinning = require('../gpxBinning');
+
+const START = Date.parse('2024-05-01T08:00:00Z');
+
+// 10 m every 3 s, except the listed (index → seconds) gaps where the runner stood still
+function makePoints(count, { standAt = {}, segmentOf = () => 0 } = {}) {
+  let time = START;
+  let meters = 0;
+  return Array.from({ length: count }, (_, i) => {
+    if (i > 0) {
+      time += standAt[i] ? standAt[i] * 1000 : 3000;
+      if (!standAt[i]) meters += 10;
+    }
+    return { lat: 51.5 + meters / 111195, lon: -0.1, ele: 100, time: new Date(time), segment: segmentOf(i) };
+  });
+}
+
+test('a standing stop is flagged and left out of moving time', () => {
+  const { points, movingTime, stoppedTime, stopCount } = detectPauses(makePoints(41, { standAt: { 20: 60 } }));
+
+  assert.equal(stopCount, 1);
+  assert.equal(stoppedTime, 60);
+  assert.equal(movingTime, 117); // 39 moving segments of 3 s
+  assert.equal(points[20].stoppedSeconds, 60);
+  assert.equal(points.filter(pt => pt.stoppedSeconds > 0).length, 1);
+});
+
+test('bins report elapsed and moving time and take pace from moving time', () => {
+  const { points } = detectPauses(makePoints(41, { standAt: { 5: 60 } }));
+  const [bin] = gpxBinning.getAnalysisBins(points, 100);
+
+  assert.equal(bin.timeInSeconds - bin.movingTime, 60);
+  // 10 m every 3 s while moving is 5:00 per km; elapsed time would give well over 10:00
+  assert.ok(Math.abs(bin.pace_min_per_km - 5) < 0.01, `pace ${bin.pace_min_per_km}`);
+});
+
+test('the gap between recorded segments is never moving time, even with detection off', () => {
+  const raw = makePoints(20, { segmentOf: i => (i < 10 ? 0 : 1) });
+  const { points, stoppedTime, stopCount } = detectPauses(raw, { enabled: false });
+
+  assert.equal(points[10].stoppedSeconds, 3);
+  assert.equal(stoppedTime, 3);
+  assert.equal(stopCount, 1);
+});
+
+test('FIT timer stops count only the paused overlap of a moving segment', () => {
+  const points = makePoints(10);
+  points[5].time = new Date(points[4].time.getTime() + 33000); // 30 s of timer pause in a 10 m segment
+  for (let i = 6; i < points.length; i++) points[i].time = new Date(points[5].time.getTime() + (i - 5) * 3000);
+
+  applyTimerEvents(points, [
+    { event: 'timer', event_type: 'stop_all', timestamp: new Date(points[4].time.getTime() + 1000) },
+    { event: 'timer', event_type: 'start', timestamp: new Date(points[4].time.getTime() + 31000) }
+  ]);
+  assert.equal(points[5].timerPausedSeconds, 30);
+
+  const result = detectPauses(points);
+  assert.equal(result.points[5].stoppedSeconds, 30);
+  assert.equal(result.movingTime, 27);
+});
+
+test('a long gap that covers ground at running speed is not a stop', () => {
+  const points = makePoints(10);
+  // GPS dropout: 60 s, 200 m
+  points[5].lat = points[4].lat + 200 / 111195;
+  points[5].time = new Date(points[4].time.getTime() + 60000);
+
+  const { points: flagged } = detectPauses(points);
+  assert.equal(flagged[5].stoppedSeconds, 0);
+});
+
+test('getPauseOptions rejects negative thresholds', () => {
+  assert.throws(() => getPauseOptions({ minSpeed: -1 }), /minSpeed/);
+  assert.equal(getPauseOptions({ enabled: 'false' }).enabled, false);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getBinGeoJSON, getGeoJSONOptions, simplifyLine } = require('../routeGeoJSON');
+const { getAnalysisBins } = require('../gpxBinning');
+const { analyzeUploadedFile } = require('../activityAnalysis');
+const { getBinningOptions, makeGapGPX } = require('./fixtures');
+
+// Straight line north, 10 m / 3 s per point; heartRate(i) per point
+function makeRoute(count, heartRate = () => 150) {
+  const start = Date.parse('2024-05-01T08:00:00Z');
+  return Array.from({ length: count }, (_, i) => ({
+    lat: 51.5 + (i * 10) / 111195,
+    lon: -0.1,
+    ele: 100 + i * 0.5,
+    hasElevation: true,
+    time: new Date(start + i * 3000),
+    heartRate: heartRate(i),
+    segment: 0
+  }));
+}
+
+test('one LineString per bin with [lon, lat] coordinates and bin metrics', () => {
+  const points = makeRoute(101);
+  const bins = getAnalysisBins(points, 100);
+  const { type, features } = getBinGeoJSON(points, bins);
+
+  assert.equal(type, 'FeatureCollection');
+  assert.equal(features.length, bins.length);
+  features.forEach((feature, i) => {
+    assert.equal(feature.geometry.type, 'LineString');
+    assert.deepEqual(feature.geometry.coordinates[0], [-0.1, Math.round(points[bins[i].startIdx].lat * 1e6) / 1e6]);
+    assert.equal(feature.properties.gradient, bins[i].gradient);
+    assert.equal(feature.properties.pace, bins[i].pace_min_per_km);
+    assert.ok(Math.abs(feature.properties.gradeAdjustedPace - bins[i].pace_min_per_km / bins[i].adjustmentFactor) < 1e-9);
+    assert.equal(feature.properties.avgHeartRate, 150);
+    assert.equal(feature.properties.excluded, false);
+  });
+});
+
+test('bins outside the heart rate filter are flagged, not dropped', () => {
+  const points = makeRoute(101, i => (i < 50 ? 130 : 160));
+  const bins = getAnalysisBins(points, 100);
+  const { features } = getBinGeoJSON(points, bins, { heartRateFilter: '{"minHR":150}' });
+
+  assert.equal(features.length, bins.length);
+  features.forEach(({ properties }) => {
+    assert.equal(properties.excluded, properties.avgHeartRate < 150);
+    assert.equal(Boolean(properties.excludeReason), properties.excluded);
+  });
+  assert.ok(features.some(({ properties }) => properties.excluded));
+});
+
+test('bins without GPS keep their feature with a null geometry', () => {
+  const points = makeRoute(21).map((pt, i) => (i >= 10 ? { ...pt, lat: null, lon: null, distance: i * 10 } : { ...pt, distance: i * 10 }));
+  const bins = getAnalysisBins(points, 100);
+  const { features } = getBinGeoJSON(points, bins);
+
+  assert.equal(features.length, 2);
+  assert.equal(features[0].geometry.type, 'LineString');
+  assert.equal(features[1].geometry, null);
+});
+
+test('Douglas–Peucker keeps the ends and the corners beyond the tolerance', () => {
+  // 0.0001° of longitude at 51.5° is ~6.9 m
+  const line = [[0, 51.5], [0.0001, 51.5], [0.0002, 51.5], [0.0002, 51.5001], [0.0003, 51.5001]];
+  assert.deepEqual(simplifyLine(line, 1), [[0, 51.5], [0.0002, 51.5], [0.0002, 51.5001], [0.0003, 51.5001]]);
+  assert.deepEqual(simplifyLine(line, 50), [[0, 51.5], [0.0003, 51.5001]]);
+  assert.equal(simplifyLine(line, 0), line);
+
+  const points = makeRoute(101);
+  const { features, simplification } = getBinGeoJSON(points, getAnalysisBins(points, 100), { tolerance: 1 });
+  features.forEach(feature => assert.equal(feature.geometry.coordinates.length, 2));
+  assert.equal(simplification.pointsAfter, features.length * 2);
+  assert.ok(simplification.pointsBefore > simplification.pointsAfter);
+});
+
+test('geojson is only added to analysis results when requested', async () => {
+  const file = { buffer: makeGapGPX(), originalname: 'gap.gpx' };
+  const { results: [plain] } = await analyzeUploadedFile(file, 50, null, getBinningOptions());
+  const { results: [withMap] } = await analyzeUploadedFile(file, 50, null, getBinningOptions({ geojson: getGeoJSONOptions({ enabled: 'true' }) }));
+
+  assert.equal(plain.geojson, undefined);
+  assert.equal(withMap.geojson.features.length, withMap.bins.length);
+});
+
+test('getGeoJSONOptions rejects a negative tolerance and malformed heartRateFilter', () => {
+  assert.throws(() => getGeoJSONOptions({ tolerance: -1 }), /tolerance/);
+  assert.throws(() => getGeoJSONOptions({ heartRateFilter: '{minHR' }), /heartRateFilter must be a JSON object/);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getPowerOptions, estimateRunningPower, getNormalizedPower, getPowerSummary } = require('../runningPower');
+const { getAnalysisBins, getBinSummary } = require('../gpxBinning');
+
+const STILL_AIR = getPowerOptions({ airResistance: false });
+
+test('running power scales with speed, mass and Minetti gradient cost', () => {
+  // ECOR 1.04 J/kg/m × 70 kg × 3 m/s
+  assert.ok(Math.abs(estimateRunningPower(3, 0, STILL_AIR) - 218.4) < 1e-9);
+  assert.ok(Math.abs(estimateRunningPower(3, 0, getPowerOptions({ airResistance: false, mass: 60 })) - 187.2) < 1e-9);
+  assert.ok(estimateRunningPower(3, 10, STILL_AIR) > 1.5 * estimateRunningPower(3, 0, STILL_AIR));
+  assert.ok(estimateRunningPower(3, -5, STILL_AIR) < estimateRunningPower(3, 0, STILL_AIR));
+
+  assert.equal(estimateRunningPower(0, 0, STILL_AIR), null);
+  assert.equal(estimateRunningPower(null, 0, STILL_AIR), null);
+});
+
+test('air resistance adds ½ρ·CdA·v_air²·v, more into a headwind', () => {
+  const calm = estimateRunningPower(3, 0, getPowerOptions({ airResistance: true })) - 218.4;
+  assert.ok(Math.abs(calm - 0.5 * 1.225 * 0.24 * 9 * 3) < 1e-9);
+
+  const headwind = estimateRunningPower(3, 0, getPowerOptions({ airResistance: 'true', windSpeed: '2' })) - 218.4;
+  assert.ok(Math.abs(headwind - 0.5 * 1.225 * 0.24 * 25 * 3) < 1e-9);
+
+  // A tailwind faster than the runner pushes instead of dragging
+  const tailwind = estimateRunningPower(3, 0, getPowerOptions({ airResistance: true, windSpeed: -5 }));
+  assert.ok(tailwind < 218.4);
+});
+
+test('normalised power weights hard bins above their share of the average', () => {
+  const steady = Array.from({ length: 4 }, () => ({ movingTime: 60, estimatedPower: 250 }));
+  assert.equal(getNormalizedPower(steady, 'estimatedPower'), 250);
+
+  const surges = [100, 400, 100, 400].map(estimatedPower => ({ movingTime: 60, estimatedPower }));
+  assert.ok(getNormalizedPower(surges, 'estimatedPower') > 250);
+
+  assert.equal(getNormalizedPower([{ movingTime: 20, estimatedPower: 250 }], 'estimatedPower'), null);
+});
+
+test('power summary reports the estimate next to recorded power', () => {
+  const bins = [
+    { movingTime: 60, estimatedPower: 220, avgPower: 200 },
+    { movingTime: 60, estimatedPower: 260, avgPower: 200 }
+  ];
+  const summary = getPowerSummary(bins, { mass: 60 });
+
+  assert.equal(summary.avgEstimatedPower, 240);
+  assert.equal(summary.estimatedPowerPerKg, 4);
+  assert.equal(summary.hasNativePower, true);
+  assert.equal(summary.avgNativePower, 200);
+  assert.equal(summary.nativePowerPerKg, 3.33);
+  assert.equal(summary.estimateDifferencePercent, 20);
+
+  const estimateOnly = getPowerSummary(bins.map(({ avgPower, ...bin }) => bin));
+  assert.equal(estimateOnly.hasNativePower, false);
+  assert.equal(estimateOnly.estimateDifferencePercent, null);
+  assert.equal(getPowerSummary([{ movingTime: 60, estimatedPower: null }]), null);
+});
+
+test('bins carry estimated watts, W/kg and recorded power', () => {
+  const start = Date.parse('2024-05-01T08:00:00Z');
+  const points = Array.from({ length: 101 }, (_, i) => ({
+    lat: 51.5 + (i * 10) / 111195,
+    lon: -0.1,
+    ele: 100,
+    time: new Date(start + i * 3000),
+    power: 240,
+    segment: 0
+  }));
+  const options = { power: getPowerOptions({ mass: 60, airResistance: false }) };
+  const bins = getAnalysisBins(points, 100, null, null, options);
+
+  bins.forEach(bin => {
+    const expected = 1.04 * 60 * bin.distance / bin.movingTime;
+    assert.ok(Math.abs(bin.estimatedPower - expected) <= 0.5, `estimated ${bin.estimatedPower} W`);
+    assert.equal(bin.estimatedPowerPerKg, Number((bin.estimatedPower / 60).toFixed(2)));
+    assert.equal(bin.avgPower, 240);
+  });
+  assert.equal(getBinSummary(bins, options).power.avgNativePower, 240);
+});
+
+test('getPowerOptions rejects a non-positive mass and a non-numeric wind', () => {
+  assert.throws(() => getPowerOptions({ mass: 0 }), /'mass' must be a positive number/);
+  assert.throws(() => getPowerOptions({ windSpeed: 'gusty' }), /windSpeed/);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWorkerPool, getAnalysisPool, analyzeFileInWorker } = require('../workerPool');
+const { getBinningOptions, makeGapGPX } = require('./fixtures');
+
+// Worker script lives outside test/ so the test runner doesn't load it as a test file
+const workerDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'pool-test-'));
+const WORKER = path.join(workerDirectory, 'worker.js');
+fs.writeFileSync(WORKER, `
+const { parentPort, threadId } = require('worker_threads');
+parentPort.on('message', ({ kind, n }) => {
+  if (kind === 'exit') process.exit(3);
+  if (kind === 'throw') setTimeout(() => { throw new Error('boom'); });
+  else if (kind === 'error') parentPort.postMessage({ error: 'bad input ' + n });
+  else setTimeout(() => parentPort.postMessage({ result: { doubled: n * 2, threadId } }), 20);
+});
+`);
+test.after(() => fs.rmSync(workerDirectory, { recursive: true, force: true }));
+
+test('tasks are spread over at most size workers and resolve with their own result', async t => {
+  const pool = createWorkerPool(WORKER, 2);
+  t.after(() => pool.destroy());
+
+  const results = await Promise.all([1, 2, 3, 4, 5].map(n => pool.run({ n })));
+  assert.deepEqual(results.map(result => result.doubled), [2, 4, 6, 8, 10]);
+  assert.equal(new Set(results.map(result => result.threadId)).size, 2);
+});
+
+test('a crash or exit fails only the task that worker was running', async t => {
+  const pool = createWorkerPool(WORKER, 1);
+  t.after(() => pool.destroy());
+
+  const [crashed, exited, replied, after] = await Promise.allSettled([
+    pool.run({ kind: 'throw' }),
+    pool.run({ kind: 'exit' }),
+    pool.run({ kind: 'error', n: 7 }),
+    pool.run({ n: 21 })
+  ]);
+  assert.equal(crashed.reason.message, 'boom');
+  assert.equal(exited.reason.message, 'Analysis worker exited with code 3');
+  assert.equal(replied.reason.message, 'bad input 7');
+  assert.equal(after.value.doubled, 42); // served by a replacement worker
+});
+
+test('destroy rejects queued and later tasks', async () => {
+  const pool = createWorkerPool(WORKER, 1);
+  const running = assert.rejects(pool.run({ n: 1 }), /exited with code/);
+  const queued = assert.rejects(pool.run({ n: 2 }), /Worker pool has been destroyed/);
+  await pool.destroy();
+
+  await Promise.all([running, queued]);
+  await assert.rejects(pool.run({ n: 3 }), /Worker pool has been destroyed/);
+});
+
+test('analyzeFileInWorker analyses uploads in the shared pool and reports failures per file', async t => {
+  t.after(() => getAnalysisPool().destroy());
+
+  const analysis = await analyzeFileInWorker({ buffer: makeGapGPX(), originalname: 'gap.gpx' }, 50, { name: 'minetti' }, getBinningOptions());
+  assert.equal(analysis.results.length, 1);
+  assert.equal(analysis.results[0].filename, 'gap.gpx');
+  assert.ok(analysis.results[0].bins.length > 0);
+  assert.ok(analysis.durationMs >= 0);
+
+  const failed = await analyzeFileInWorker({ buffer: Buffer.from('<gpx>'), originalname: 'broken.gpx' }, 50, { name: 'minetti' }, getBinningOptions());
+  assert.equal(failed.results.length, 0);
+  assert.equal(failed.errors[0].filename, 'broken.gpx');
+});
@@ -0,0 +1,139 @@
+/**
+ * WORKER THREAD POOL
+ *
+ * Runs file analysis (parsing + binning) in worker_threads so a big batch doesn't block
+ * the main event loop - the health check and other requests keep answering.
+ *
+ * SIZE: WORKER_POOL_SIZE env var, default one worker per CPU core minus one (at least 1).
+ * Workers are started on demand and replaced when one crashes; a crash only rejects the
+ * task that worker was running.
+ */
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const ANALYSIS_WORKER = path.join(__dirname, 'analysisWorker.js');
+
+function getDefaultPoolSize() {
+  const configured = parseInt(process.env.WORKER_POOL_SIZE, 10);
+  if (configured > 0) return configured;
+  const cores = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+  return Math.max(1, cores - 1);
+}
+
+/**
+ * Create a pool of workers running workerFile
+ * The worker receives each task's data as a message and must reply with { result } or { error }.
+ * @param {string} workerFile - Absolute path of the worker script
+ * @param {number} [size] - Maximum concurrent workers
+ * @returns {{run: function(Object): Promise, destroy: function(): Promise, size: number}}
+ */
+function createWorkerPool(workerFile, size = getDefaultPoolSize()) {
+  const workers = new Set();
+  const idle = [];
+  const queue = [];
+  let destroyed = false;
+
+  function finishTask(worker, settle) {
+    const task = worker.task;
+    worker.task = null;
+    if (task) settle(task);
+  }
+
+  function spawn() {
+    const worker = new Worker(workerFile);
+    worker.task = null;
+
+    worker.on('message', message => {
+      finishTask(worker, task => (message.error !== undefined
+        ? task.reject(new Error(message.error))
+        : task.resolve(message.result)));
+      if (!destroyed) {
+        idle.push(worker);
+        drain();
+      }
+    });
+
+    // An uncaught exception / out-of-memory in the worker: fail its task only, then replace it
+    worker.on('error', error => {
+      console.error('❌ Analysis worker crashed:', error.message);
+      finishTask(worker, task => task.reject(error));
+    });
+    worker.on('exit', code => {
+      workers.delete(worker);
+      const idleIndex = idle.indexOf(worker);
+      if (idleIndex !== -1) idle.splice(idleIndex, 1);
+      finishTask(worker, task => task.reject(new Error(`Analysis worker exited with code ${code}`)));
+      if (!destroyed) drain();
+    });
+
+    workers.add(worker);
+    return worker;
+  }
+
+  function drain() {
+    while (queue.length > 0 && (idle.length > 0 || workers.size < size)) {
+      const worker = idle.pop() || spawn();
+      const task = queue.shift();
+      worker.task = task;
+      worker.postMessage(task.data);
+    }
+  }
+
+  return {
+    size,
+    run(data) {
+      if (destroyed) return Promise.reject(new Error('Worker pool has been destroyed'));
+      return new Promise((resolve, reject) => {
+        queue.push({ data, resolve, reject });
+        drain();
+      });
+    },
+    async destroy() {
+      destroyed = true;
+      queue.splice(0).forEach(task => task.reject(new Error('Worker pool has been destroyed')));
+      await Promise.all([...workers].map(worker => worker.terminate()));
+    }
+  };
+}
+
+// Shared pool for upload analysis, created on first use
+let analysisPool = null;
+
+function getAnalysisPool() {
+  if (!analysisPool) {
+    analysisPool = createWorkerPool(ANALYSIS_WORKER);
+    console.log(`🧵 Analysis worker pool started (${analysisPool.size} workers)`);
+  }
+  return analysisPool;
+}
+
+// Analyse one upload in the worker pool (see analysisWorker.js)
+// A crashed worker becomes an error for this file only.
+async function analyzeFileInWorker(file, binLength, gapModel, binningOptions) {
+  const startedAt = Date.now();
+  try {
+    const { durationMs, ...analysis } = await getAnalysisPool().run({
+      file: { buffer: file.buffer, originalname: file.originalname },
+      binLength,
+      gapModel: { name: gapModel.name, coefficients: gapModel.coefficients },
+      binningOptions
+    });
+    return { ...analysis, durationMs };
+  } catch (error) {
+    return {
+      results: [],
+      errors: [{ filename: file.originalname, error: error.message }],
+      skippedSessions: [],
+      durationMs: Date.now() - startedAt
+    };
+  }
+}
+
+module.exports = {
+  getDefaultPoolSize,
+  createWorkerPool,
+  getAnalysisPool,
+  analyzeFileInWorker
+};